@@ -0,0 +1,115 @@
+/**
+ * Api.js - 服务器通信模块
+ * 封装对 server.js 提供的 /api 接口的请求
+ */
+
+((window) => {
+    'use strict';
+
+    /**
+     * API 请求错误
+     * status 为 0 表示网络不可达（离线或服务器未启动）
+     */
+    class ApiError extends Error {
+        constructor(message, status = 0, payload = null) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.payload = payload;
+        }
+    }
+
+    const Api = {
+        // 接口前缀
+        baseUrl: '/api',
+
+        // 请求超时时间（毫秒）
+        timeout: 8000,
+
+        // CSRF 令牌（登录、初始化和检查会话时由服务器返回），修改请求会自动携带
+        csrfToken: null,
+
+        /**
+         * 发送请求
+         * @param {string} path - 接口路径（不含 /api 前缀）
+         * @param {Object} options - 请求选项 { method, body }
+         * @returns {Promise<Object>} - 服务器返回的 JSON
+         */
+        async request(path, options = {}) {
+            const { method = 'GET', body } = options;
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeout);
+
+            const headers = {};
+            if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+            }
+            if (method !== 'GET' && this.csrfToken) {
+                headers['X-CSRF-Token'] = this.csrfToken;
+            }
+
+            let response;
+            try {
+                response = await fetch(this.baseUrl + path, {
+                    method,
+                    credentials: 'same-origin',
+                    headers,
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+            } catch (e) {
+                throw new ApiError('无法连接服务器', 0);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            let payload = null;
+            try {
+                payload = await response.json();
+            } catch {
+                // 非 JSON 响应（例如纯静态部署时的 404 页面）
+            }
+
+            if (payload && payload.csrfToken) {
+                this.csrfToken = payload.csrfToken;
+            }
+
+            if (!response.ok || !payload || payload.success === false) {
+                const message = (payload && payload.error) || `请求失败 (${response.status})`;
+                throw new ApiError(message, response.status, payload);
+            }
+
+            return payload;
+        },
+
+        /**
+         * GET 请求
+         * @param {string} path - 接口路径
+         */
+        get(path) {
+            return this.request(path);
+        },
+
+        /**
+         * POST 请求
+         * @param {string} path - 接口路径
+         * @param {Object} body - 请求体
+         */
+        post(path, body = {}) {
+            return this.request(path, { method: 'POST', body });
+        },
+
+        /**
+         * DELETE 请求
+         * @param {string} path - 接口路径
+         */
+        delete(path) {
+            return this.request(path, { method: 'DELETE' });
+        }
+    };
+
+    // 导出 Api
+    window.Api = Api;
+    window.ApiError = ApiError;
+
+})(window);
@@ -58,6 +58,15 @@
 
             // 5. 初始渲染
             this.initialRender();
+
+            // 6. 连接服务器同步数据（不可达时继续使用本地数据）
+            this.store.subscribeSync((status) => {
+                this.renderer.updateSyncStatus(status);
+            });
+            this.store.startSync().then(() => {
+                // 首次使用（未设置管理员密码）时强制设置密码
+                this.events.checkInitialSetup();
+            });
         }
 
         /**
@@ -91,6 +100,9 @@
             // 更新事件管理器中的状态引用
             this.events.state = state;
 
+            // 登录状态可能在其他标签页发生了变化
+            this.events.syncAuthState();
+
             // 重新渲染
             const searchQuery = document.getElementById('searchInput').value;
             this.renderer.render(state, searchQuery);
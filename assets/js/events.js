@@ -22,6 +22,15 @@
         // 会话检查定时器
         authSessionCheckInterval: null,
 
+        // 导入向导中待导入的数据（已通过结构校验）
+        pendingImport: null,
+
+        // 待选择分类的书签分组（见 Formats.groupByFolder）
+        pendingBookmarks: null,
+
+        // 待导入的 CSV 行（见 Formats.parseCsv）
+        pendingCsv: null,
+
         // 移动端触摸状态
         touchState: {
             startX: 0,
@@ -79,17 +88,46 @@
                 Store.toggleTheme();
             });
 
+            // 同步状态 - 点击立即重新同步，有冲突时打开冲突处理框
+            const syncStatus = document.getElementById('syncStatus');
+            if (syncStatus) {
+                syncStatus.addEventListener('click', () => {
+                    if (Store.syncStatus === 'conflict') {
+                        Renderer.showModal('conflictModal');
+                    } else if (Store.syncStatus === 'locked') {
+                        // 登录成功后会自动加载服务器数据
+                        this.checkPermission();
+                    } else if (Store.syncStatus !== 'syncing') {
+                        Store.connect();
+                    }
+                });
+            }
+
+            // 出现同步冲突时提示用户处理；服务器拒绝写入时显示具体的数据错误
+            Store.subscribeSync((status) => {
+                if (status === 'conflict') {
+                    Renderer.showModal('conflictModal');
+                } else if (status === 'error' && Store.syncErrors) {
+                    Toast.show(`服务器拒绝保存：${Schema.formatErrors(Store.syncErrors)}`, 'error');
+                }
+            });
+
             // 导出数据 - 需要权限检查
             document.getElementById('exportBtn').addEventListener('click', async () => {
                 const hasPermission = await this.checkPermission();
                 if (!hasPermission) return;
 
-                const data = Store.exportData();
-                const filename = `myspace_backup_${Utils.formatDate(new Date())}.json`;
-                Utils.downloadFile(data, filename);
-                Toast.show('备份已下载', 'success');
+                this.openExportDialog();
+            });
+
+            document.querySelectorAll('input[name="exportProfile"]').forEach(radio => {
+                radio.addEventListener('change', () => this.updateExportOptions());
             });
 
+            document.getElementById('exportFormatSelect').addEventListener('change', () => this.updateExportOptions());
+
+            document.getElementById('confirmExportBtn').addEventListener('click', () => this.handleConfirmExport());
+
             // 导入数据 - 需要权限检查
             document.getElementById('importFile').addEventListener('change', async (e) => {
                 const hasPermission = await this.checkPermission();
@@ -102,12 +140,16 @@
                 if (!file) return;
 
                 try {
-                    const data = await Utils.readJsonFile(file);
-                    if (Store.importData(data)) {
-                        Toast.show('数据恢复成功', 'success');
-                        Renderer.hideModals();
+                    const parsed = Formats.parseImportFile(await Utils.readTextFile(file));
+                    if (parsed.type === 'bookmarks') {
+                        this.openBookmarkMapping(parsed, file.name);
                     } else {
-                        Toast.show('无效的备份文件', 'error');
+                        const result = Store.prepareImport(parsed.data);
+                        if (result.success) {
+                            this.openImportWizard(result.data, file.name);
+                        } else {
+                            Toast.show(`无效的备份文件：${Schema.formatErrors(result.errors)}`, 'error');
+                        }
                     }
                 } catch (err) {
                     Toast.show(err.message, 'error');
@@ -116,16 +158,112 @@
                 e.target.value = '';
             });
 
+            // 导入向导：切换导入方式时刷新预览
+            document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+                radio.addEventListener('change', () => this.updateImportPreview());
+            });
+
+            document.getElementById('confirmImportBtn').addEventListener('click', () => this.handleConfirmImport());
+
+            document.getElementById('bookmarkNextBtn').addEventListener('click', () => this.handleBookmarkMapping());
+
+            // 导入 CSV 表格 - 需要权限检查
+            document.getElementById('csvImportFile').addEventListener('change', async (e) => {
+                const hasPermission = await this.checkPermission();
+                const file = e.target.files[0];
+                if (hasPermission && file) {
+                    try {
+                        this.openCsvImport(Formats.parseCsv(await Utils.readTextFile(file)), file.name);
+                    } catch (err) {
+                        Toast.show(err.message, 'error');
+                    }
+                }
+                // 重置文件输入
+                e.target.value = '';
+            });
+
+            document.getElementById('csvHeaderCheck').addEventListener('change', () => this.updateCsvMapping());
+            document.getElementById('csvColumnMapping').addEventListener('change', () => this.updateCsvPreview());
+            document.getElementById('confirmCsvImportBtn').addEventListener('click', () => this.handleConfirmCsvImport());
+
             // 重置数据 - 需要权限检查
             document.getElementById('resetBtn').addEventListener('click', async () => {
                 const hasPermission = await this.checkPermission();
                 if (!hasPermission) return;
 
-                if (confirm('确定要清空所有数据吗？此操作无法撤销。')) {
+                if (confirm('确定要清空所有数据吗？')) {
                     Store.reset();
                     Renderer.hideModals();
-                    Toast.show('数据已重置', 'success');
+                    Toast.show('数据已重置', 'success', this.undoToastAction());
+                }
+            });
+
+            // 服务器备份
+            document.getElementById('createBackupBtn').addEventListener('click', async () => {
+                const hasPermission = await this.checkPermission();
+                if (!hasPermission) return;
+
+                try {
+                    await Api.post('/backup');
+                    Toast.show('服务器备份已创建', 'success');
+                    this.loadBackups();
+                } catch (err) {
+                    Toast.show(err.message, 'error');
+                }
+            });
+
+            document.getElementById('backupList').addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-action]');
+                if (!btn) return;
+
+                const { filename } = btn.closest('.backup-item').dataset;
+                if (btn.dataset.action === 'restore') {
+                    this.handleRestoreBackup(filename);
+                } else if (btn.dataset.action === 'delete') {
+                    this.handleDeleteBackup(filename);
+                }
+            });
+
+            // 回收站
+            document.getElementById('trashList').addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-action]');
+                if (!btn) return;
+
+                const item = btn.closest('.backup-item');
+                if (btn.dataset.action === 'restore') {
+                    this.handleRestoreTrash(item.dataset.id);
+                } else if (btn.dataset.action === 'purge') {
+                    this.handlePurgeTrash(item.dataset.id, item.querySelector('.backup-name').textContent);
+                }
+            });
+
+            document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+                this.handlePurgeTrash(null);
+            });
+
+            document.getElementById('trashRetentionInput').addEventListener('change', async (e) => {
+                const hasPermission = await this.checkPermission();
+                if (!hasPermission) return;
+
+                const days = Math.floor(Number(e.target.value));
+                if (!Number.isFinite(days) || days < 0) {
+                    e.target.value = this.state.settings.trashRetentionDays ?? 30;
+                    Toast.show('请输入有效的天数', 'error');
+                    return;
                 }
+
+                Store.setTrashRetentionDays(days);
+                this.loadTrash();
+                Toast.show(days > 0 ? `回收站将自动清理超过 ${days} 天的条目` : '回收站不再自动清理', 'success');
+            });
+
+            // 修改历史
+            document.getElementById('historyList').addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-action="revert"]');
+                if (!btn) return;
+
+                const item = btn.closest('.backup-item');
+                this.handleRevertHistory(item.dataset.id, item.querySelector('.backup-name').textContent);
             });
 
             // 保存背景 - 需要权限检查
@@ -209,11 +347,26 @@
                 });
             }
 
+            // 修改密码相关事件
+            document.getElementById('cancelChangePasswordBtn').addEventListener('click', () => {
+                Renderer.hideModals();
+            });
+
+            document.getElementById('confirmChangePasswordBtn').addEventListener('click', () => {
+                this.handleChangePassword();
+            });
+
+            document.getElementById('confirmNewPasswordInput').addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.handleChangePassword();
+                }
+            });
+
             // 模态框点击外部关闭 - 优化触摸支持
             document.querySelectorAll('.modal-overlay').forEach(overlay => {
                 // 使用 pointerdown 替代 click，响应更快
                 overlay.addEventListener('pointerdown', (e) => {
-                    if (e.target === overlay) {
+                    if (e.target === overlay && overlay.id !== 'initialSetupModal') {
                         Renderer.hideModals();
                         this.authState.passwordAttempts = 0; // 重置尝试次数
                     }
@@ -291,6 +444,7 @@
             // 管理菜单项事件
             const addToolMenuItem = document.getElementById('addToolMenuItem');
             const settingsMenuItem = document.getElementById('settingsMenuItem');
+            const changePasswordMenuItem = document.getElementById('changePasswordMenuItem');
             const logoutAdminMenuItem = document.getElementById('logoutAdminMenuItem');
 
             if (addToolMenuItem) {
@@ -306,6 +460,17 @@
                     const bg = this.state.settings.backgroundImage || '';
                     document.getElementById('bgInput').value = bg;
                     Renderer.showModal('settingsModal');
+                    this.loadTrash();
+                    this.loadBackups();
+                    this.loadHistory();
+                    this.loadLoginFailures();
+                });
+            }
+
+            if (changePasswordMenuItem) {
+                changePasswordMenuItem.addEventListener('click', () => {
+                    this.handleAdminMenu(); // 关闭菜单
+                    this.openChangePasswordModal();
                 });
             }
 
@@ -333,6 +498,21 @@
                 btn.addEventListener('click', () => Renderer.hideModals());
             });
 
+            // 同步冲突处理
+            document.getElementById('conflictMergeBtn').addEventListener('click', async () => {
+                Renderer.hideModals();
+                const success = await Store.resolveConflict('merge');
+                if (success) {
+                    Toast.show('已合并修改并保存到服务器', 'success');
+                }
+            });
+
+            document.getElementById('conflictReloadBtn').addEventListener('click', async () => {
+                Renderer.hideModals();
+                await Store.resolveConflict('reload');
+                Toast.show('已加载服务器上的最新数据', 'success');
+            });
+
             // 工具表单提交
             document.getElementById('toolForm').addEventListener('submit', (e) => {
                 e.preventDefault();
@@ -553,9 +733,20 @@
                     document.getElementById('searchInput').focus();
                 }
 
-                // Escape - 关闭模态框或搜索建议
+                // Cmd/Ctrl + Z - 撤销，Cmd/Ctrl + Shift + Z - 重做（输入框中保留浏览器自带的文本撤销）
+                if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'z' &&
+                    !e.target.closest('input, textarea, select, [contenteditable="true"]')) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.handleRedo();
+                    } else {
+                        this.handleUndo();
+                    }
+                }
+
+                // Escape - 关闭模态框或搜索建议（首次设置密码的模态框不可关闭）
                 if (e.key === 'Escape') {
-                    if (document.querySelector('.modal-overlay.active')) {
+                    if (document.querySelector('.modal-overlay.active') && !this.isInitialSetupActive()) {
                         Renderer.hideModals();
                     }
                     Renderer.hideSearchSuggestions();
@@ -704,11 +895,12 @@
                 if (hasPermission) {
                     deleteBtn.addEventListener('click', async (e) => {
                         e.stopPropagation(); // 阻止冒泡
-                        const confirmed = await Renderer.confirmDialog(`确定要删除分类 "${cat}" 吗？此操作不会删除分类下的工具。`);
+                        const confirmed = await Renderer.confirmDialog(`确定要删除分类 "${cat}" 吗？分类和分类下的工具会一起移入回收站。`);
                         if (confirmed) {
                             Store.deleteCategory(cat);
                             // 手动重新渲染标签
                             this.renderCategoryTags();
+                            Toast.show('已删除分类', 'success', this.undoToastAction());
                         }
                     });
                 }
@@ -739,7 +931,8 @@
                 return;
             }
 
-            if (!url || !Utils.isValidUrl(url)) {
+            // 与服务器使用同一校验，javascript: 等协议的链接保存后会导致同步失败
+            if (!url || !Utils.isValidUrl(url) || !Schema.isSafeUrl(url)) {
                 Toast.show('请输入有效的 URL', 'error');
                 return;
             }
@@ -801,10 +994,575 @@
             const hasPermission = await this.checkPermission();
             if (!hasPermission) return;
 
-            const confirmed = await Renderer.confirmDialog('确定要删除这个工具/站点吗？');
+            const confirmed = await Renderer.confirmDialog('确定要删除这个工具/站点吗？删除后可以在回收站中恢复。');
             if (confirmed) {
                 Store.deleteTool(id);
-                Toast.show('已删除工具', 'success');
+                Toast.show('已删除工具', 'success', this.undoToastAction());
+            }
+        },
+
+        /**
+         * 打开导出对话框（默认完整备份，不包含密码哈希）
+         */
+        openExportDialog() {
+            document.querySelector('input[name="exportProfile"][value="full"]').checked = true;
+            document.getElementById('exportFormatSelect').value = 'json';
+            document.getElementById('exportSecretsCheck').checked = false;
+            Renderer.renderExportCategories(Store.getState().categories);
+            this.updateExportOptions();
+
+            Renderer.hideModals();
+            Renderer.showModal('exportModal');
+        },
+
+        /**
+         * 获取导出对话框中选择的导出内容
+         * @returns {string}
+         */
+        getExportProfile() {
+            const checked = document.querySelector('input[name="exportProfile"]:checked');
+            return checked ? checked.value : 'full';
+        },
+
+        /**
+         * 按导出内容和文件格式显示分类选项和密码选项
+         */
+        updateExportOptions() {
+            const profile = this.getExportProfile();
+            const format = document.getElementById('exportFormatSelect').value;
+            const hasSecrets = Boolean(Store.getState().settings.adminPasswordHash);
+            document.getElementById('exportCategoryGroup').hidden = profile !== 'categories';
+            document.getElementById('exportSecretsOption').hidden = profile !== 'full' || format !== 'json' || !hasSecrets;
+        },
+
+        /**
+         * 下载导出文件
+         */
+        async handleConfirmExport() {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const profile = this.getExportProfile();
+            const categories = Array.from(document.querySelectorAll('#exportCategoryList input:checked'))
+                .map(input => input.value);
+            if (profile === 'categories' && categories.length === 0) {
+                Toast.show('请至少选择一个分类', 'error');
+                return;
+            }
+
+            const FILE_PREFIXES = { full: 'myspace_backup', shareable: 'myspace_share', categories: 'myspace_categories' };
+            const format = document.getElementById('exportFormatSelect').value;
+            const { extension, mimeType } = Formats.EXPORT_FORMATS[format];
+            const filename = `${FILE_PREFIXES[profile]}_${Utils.formatDate(new Date())}.${extension}`;
+
+            if (format === 'json') {
+                const data = Store.exportData({
+                    profile,
+                    categories,
+                    includeSecrets: profile === 'full' && document.getElementById('exportSecretsCheck').checked
+                });
+                Utils.downloadFile(data, filename);
+            } else {
+                // 其他格式只包含分类和工具，完整备份按分享内容导出
+                const data = JSON.parse(Store.exportData({ profile: profile === 'full' ? 'shareable' : profile, categories }));
+                Utils.downloadFile(Formats.serialize(format, data), filename, mimeType);
+            }
+
+            Renderer.hideModals();
+            Toast.show(profile === 'full' && format === 'json' ? '备份已下载' : '导出文件已下载', 'success');
+        },
+
+        /**
+         * 打开书签导入的文件夹与分类对应步骤
+         * @param {Object} parsed - Formats.parseImportFile 返回的书签解析结果
+         * @param {string} fileName - 文件名
+         */
+        openBookmarkMapping(parsed, fileName) {
+            if (parsed.bookmarks.length === 0) {
+                Toast.show('文件中没有找到可导入的网址', 'error');
+                return;
+            }
+
+            const FORMAT_NAMES = { netscape: '浏览器书签', firefox: 'Firefox 书签备份', urls: '网址列表' };
+            const groups = Formats.groupByFolder(parsed.bookmarks);
+            this.pendingBookmarks = { groups, fileName };
+
+            let summary = `${fileName}（${FORMAT_NAMES[parsed.format]}）：${parsed.bookmarks.length} 个网址，${groups.length} 个文件夹`;
+            if (parsed.skipped > 0) {
+                summary += `，跳过 ${parsed.skipped} 个不支持的链接`;
+            }
+            document.getElementById('bookmarkSummary').textContent = `${summary}。清空分类表示跳过该文件夹。`;
+
+            Renderer.renderBookmarkFolders(groups, Store.getState().categories);
+            Renderer.hideModals();
+            Renderer.showModal('bookmarkModal');
+        },
+
+        /**
+         * 按选择的分类生成导入数据，进入导入预览（默认仅添加）
+         */
+        handleBookmarkMapping() {
+            if (!this.pendingBookmarks) return;
+
+            const { groups, fileName } = this.pendingBookmarks;
+            const categories = [];
+            document.querySelectorAll('#bookmarkFolderList .folder-category-input').forEach(input => {
+                categories[Number(input.dataset.index)] = input.value;
+            });
+
+            const result = Store.prepareImport(Formats.toImportData(groups, categories));
+            if (result.data.tools.length === 0) {
+                Toast.show('请至少为一个文件夹选择分类', 'error');
+                return;
+            }
+            if (!result.success) {
+                Toast.show(`无法导入：${Schema.formatErrors(result.errors)}`, 'error');
+                return;
+            }
+
+            this.pendingBookmarks = null;
+            this.openImportWizard(result.data, fileName, 'add');
+        },
+
+        /**
+         * 打开 CSV 导入对话框
+         * @param {string[][]} rows - Formats.parseCsv 返回的行
+         * @param {string} fileName - 文件名
+         */
+        openCsvImport(rows, fileName) {
+            if (rows.length === 0) {
+                Toast.show('CSV 文件中没有数据', 'error');
+                return;
+            }
+
+            this.pendingCsv = { rows, fileName };
+            document.getElementById('csvHeaderCheck').checked = Formats.hasCsvHeader(rows);
+            this.updateCsvMapping();
+
+            Renderer.hideModals();
+            Renderer.showModal('csvImportModal');
+        },
+
+        /**
+         * 按是否有表头重新猜测列对应关系并刷新预览
+         */
+        updateCsvMapping() {
+            if (!this.pendingCsv) return;
+
+            const { rows, fileName } = this.pendingCsv;
+            const hasHeader = document.getElementById('csvHeaderCheck').checked;
+            const columnCount = Math.max(...rows.map(cells => cells.length));
+            const columns = Array.from({ length: columnCount }, (_, index) => {
+                const name = hasHeader ? (rows[0][index] || '').trim() : '';
+                return name ? `${name}（第 ${index + 1} 列）` : `第 ${index + 1} 列`;
+            });
+
+            document.getElementById('csvSummary').textContent =
+                `${fileName}：${hasHeader ? rows.length - 1 : rows.length} 行，${columnCount} 列`;
+            Renderer.renderCsvMapping(columns, Formats.guessCsvColumns(rows, hasHeader));
+            this.updateCsvPreview();
+        },
+
+        /**
+         * 按当前的列对应关系读取 CSV 行，标记无效和重复的网址
+         * @returns {Object[]} - Formats.mapCsvRows 返回的行，附带 row（文件中的行号）
+         */
+        buildCsvItems() {
+            const { rows } = this.pendingCsv;
+            const hasHeader = document.getElementById('csvHeaderCheck').checked;
+            const mapping = {};
+            document.querySelectorAll('#csvColumnMapping select').forEach(select => {
+                mapping[select.dataset.field] = Number(select.value);
+            });
+
+            const seen = new Set(Store.getState().tools.map(tool => Utils.normalizeUrl(tool.url)));
+            const items = Formats.mapCsvRows(hasHeader ? rows.slice(1) : rows, mapping);
+
+            items.forEach((item, index) => {
+                item.row = index + (hasHeader ? 2 : 1);
+                if (item.error) return;
+
+                const key = Utils.normalizeUrl(item.url);
+                if (seen.has(key)) {
+                    item.error = '网址已存在';
+                }
+                seen.add(key);
+            });
+
+            return items;
+        },
+
+        /**
+         * 刷新 CSV 导入预览
+         */
+        updateCsvPreview() {
+            if (!this.pendingCsv) return;
+
+            const items = this.buildCsvItems();
+            const valid = items.filter(item => !item.error).length;
+            const invalid = items.length - valid;
+            const LIMIT = 200;
+
+            let summary = `${valid} 行可以导入`;
+            if (invalid > 0) summary += `，${invalid} 行无效或重复（已标红，将跳过）`;
+            if (items.length > LIMIT) summary += `；只显示前 ${LIMIT} 行`;
+            document.getElementById('csvPreviewSummary').textContent = summary;
+
+            Renderer.renderCsvPreview(items, LIMIT);
+
+            const confirmBtn = document.getElementById('confirmCsvImportBtn');
+            confirmBtn.disabled = valid === 0;
+            confirmBtn.textContent = valid > 0 ? `导入 ${valid} 个` : '导入';
+        },
+
+        /**
+         * 添加 CSV 中的有效行（一次撤销即可全部撤回）
+         */
+        async handleConfirmCsvImport() {
+            if (!this.pendingCsv) return;
+
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const items = this.buildCsvItems().filter(item => !item.error);
+            if (items.length === 0) return;
+
+            Store.batch('导入 CSV', () => {
+                items.forEach(item => {
+                    Store.addTool({
+                        id: Utils.generateId(),
+                        title: item.title,
+                        url: item.url,
+                        category: item.category,
+                        desc: item.desc,
+                        favorite: item.favorite,
+                        order: Store.getState().tools.length
+                    });
+                });
+            });
+
+            this.pendingCsv = null;
+            this.renderCategoryTags();
+            Renderer.hideModals();
+            Toast.show(`已导入 ${items.length} 个工具`, 'success', this.undoToastAction());
+        },
+
+        /**
+         * 打开导入向导（不导入设置和密码）
+         * @param {Object} data - 已通过结构校验的数据
+         * @param {string} fileName - 文件名
+         * @param {string} mode - 默认的导入方式
+         */
+        openImportWizard(data, fileName, mode = 'merge') {
+            this.pendingImport = data;
+
+            const hasSettings = Boolean(data.settings) && Object.keys(data.settings).length > 0;
+            const hasCredentials = Boolean(data.settings && data.settings.adminPasswordHash);
+            document.getElementById('importFileName').textContent =
+                `${fileName}：${data.tools.length} 个工具，${data.categories.length} 个分类`;
+            document.querySelector(`input[name="importMode"][value="${mode}"]`).checked = true;
+            document.getElementById('importSettingsCheck').checked = false;
+            document.getElementById('importSettingsOption').hidden = !hasSettings;
+            document.getElementById('importCredentialsCheck').checked = false;
+            document.getElementById('importCredentialsOption').hidden = !hasCredentials || Store.serverAvailable;
+
+            this.updateImportPreview();
+            Renderer.hideModals();
+            Renderer.showModal('importModal');
+        },
+
+        /**
+         * 获取导入向导中选择的导入方式
+         * @returns {string}
+         */
+        getImportMode() {
+            const checked = document.querySelector('input[name="importMode"]:checked');
+            return checked ? checked.value : 'merge';
+        },
+
+        /**
+         * 按当前选择的导入方式刷新预览
+         */
+        updateImportPreview() {
+            if (!this.pendingImport) return;
+            Renderer.renderImportPreview(Store.previewImport(this.pendingImport, this.getImportMode()));
+        },
+
+        /**
+         * 确认导入（替换模式会移除工具时再次确认）
+         */
+        async handleConfirmImport() {
+            if (!this.pendingImport) return;
+
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const mode = this.getImportMode();
+            const { removed } = Store.previewImport(this.pendingImport, mode);
+            if (removed.length > 0) {
+                const confirmed = await Renderer.confirmDialog(`替换后将移除 ${removed.length} 个本地工具，确定继续吗？`, '替换');
+                if (!confirmed) return;
+            }
+
+            const result = Store.importData(this.pendingImport, {
+                mode,
+                includeSettings: document.getElementById('importSettingsCheck').checked,
+                includeCredentials: document.getElementById('importCredentialsCheck').checked
+            });
+
+            if (result.success) {
+                const { added, changed, conflicts } = result.preview;
+                const changedCount = mode === 'add' ? 0 : changed.length;
+                const addedCount = added.length + conflicts.filter(item => !item.skip).length;
+                this.pendingImport = null;
+                this.renderCategoryTags();
+                Renderer.hideModals();
+                Toast.show(`导入完成：新增 ${addedCount} 个，更新 ${changedCount} 个`, 'success', this.undoToastAction());
+            } else {
+                Toast.show(`无效的备份文件：${Schema.formatErrors(result.errors)}`, 'error');
+            }
+        },
+
+        /**
+         * 加载回收站（先清理过期条目）
+         */
+        loadTrash() {
+            Store.cleanupTrash();
+            const { trash, settings } = Store.getState();
+            document.getElementById('trashRetentionInput').value = settings.trashRetentionDays ?? 30;
+            Renderer.renderTrashList(trash);
+        },
+
+        /**
+         * 从回收站恢复
+         * @param {string} id - 回收站条目 ID
+         */
+        async handleRestoreTrash(id) {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            if (Store.restoreFromTrash(id)) {
+                this.renderCategoryTags();
+                this.loadTrash();
+                Toast.show('已从回收站恢复', 'success', this.undoToastAction());
+            }
+        },
+
+        /**
+         * 彻底删除回收站条目
+         * @param {string|null} id - 回收站条目 ID，为 null 时清空回收站
+         * @param {string} name - 条目名称（用于确认提示）
+         */
+        async handlePurgeTrash(id, name = '') {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            if (Store.getState().trash.length === 0) {
+                Toast.show('回收站是空的', 'error');
+                return;
+            }
+
+            const message = id ? `确定要彻底删除${name}吗？` : '确定要清空回收站吗？';
+            const confirmed = await Renderer.confirmDialog(message);
+            if (!confirmed) return;
+
+            Store.purgeTrash(id);
+            this.loadTrash();
+            Toast.show(id ? '已彻底删除' : '回收站已清空', 'success', this.undoToastAction());
+        },
+
+        /**
+         * 撤销上一步修改
+         */
+        async handleUndo() {
+            if (Store.undoStack.length === 0) {
+                Toast.show('没有可撤销的操作', 'error');
+                return;
+            }
+
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const label = Store.undo();
+            if (label) {
+                this.refreshAfterUndo();
+                Toast.show(`已撤销：${label}`, 'success');
+            }
+        },
+
+        /**
+         * 重做上一步被撤销的修改
+         */
+        async handleRedo() {
+            if (Store.redoStack.length === 0) {
+                Toast.show('没有可重做的操作', 'error');
+                return;
+            }
+
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const label = Store.redo();
+            if (label) {
+                this.refreshAfterUndo();
+                Toast.show(`已重做：${label}`, 'success');
+            }
+        },
+
+        /**
+         * 撤销 / 重做后刷新不随状态自动渲染的部分（分类标签、打开中的回收站列表）
+         */
+        refreshAfterUndo() {
+            this.renderCategoryTags();
+            if (document.getElementById('settingsModal').classList.contains('active')) {
+                this.loadTrash();
+            }
+        },
+
+        /**
+         * 提示中的"撤销"按钮，只撤销提示对应的那一步（之后又有其他修改时按钮隐藏）
+         * @returns {Object|null} - Toast.show 的 action 参数
+         */
+        undoToastAction() {
+            const id = Store.getUndoTopId();
+            if (!id) return null;
+
+            return {
+                label: '撤销',
+                isAvailable: () => Store.getUndoTopId() === id,
+                onClick: async () => {
+                    const hasPermission = await this.checkPermission();
+                    if (!hasPermission) return;
+
+                    const label = Store.undo(id);
+                    if (label) {
+                        this.refreshAfterUndo();
+                        Toast.show(`已撤销：${label}`, 'success');
+                    } else {
+                        Toast.show('之后已有其他修改，请使用撤销快捷键逐步撤销', 'error');
+                    }
+                }
+            };
+        },
+
+        /**
+         * 加载服务器备份列表（仅服务器模式下显示）
+         */
+        async loadBackups() {
+            const section = document.getElementById('serverBackupSection');
+            if (!section) return;
+
+            section.hidden = !Store.serverAvailable;
+            if (!Store.serverAvailable) return;
+
+            Renderer.renderBackupList(null);
+            try {
+                const { backups } = await Api.get('/backups');
+                Renderer.renderBackupList(backups);
+            } catch (err) {
+                Renderer.renderBackupList([]);
+                Toast.show(err.message, 'error');
+            }
+        },
+
+        /**
+         * 加载服务器修改历史（仅服务器模式下显示）
+         */
+        async loadHistory() {
+            const section = document.getElementById('historySection');
+            if (!section) return;
+
+            section.hidden = !Store.serverAvailable;
+            if (!Store.serverAvailable) return;
+
+            Renderer.renderHistoryList(null);
+            try {
+                const { entries } = await Api.get('/history?limit=100');
+                Renderer.renderHistoryList(entries);
+            } catch (err) {
+                Renderer.renderHistoryList([]);
+            }
+        },
+
+        /**
+         * 处理撤销某条修改历史
+         * @param {string} id - 历史记录 ID
+         * @param {string} summary - 修改说明（用于确认提示）
+         */
+        async handleRevertHistory(id, summary) {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const confirmed = await Renderer.confirmDialog(`确定要撤销"${summary}"吗？之后的其他修改会保留。`, '撤销');
+            if (!confirmed) return;
+
+            try {
+                await Api.post(`/history/${encodeURIComponent(id)}/revert`);
+                await Store.pull();
+                Toast.show('已撤销该修改', 'success');
+                this.loadHistory();
+            } catch (err) {
+                Toast.show(err.message, 'error');
+            }
+        },
+
+        /**
+         * 加载登录失败记录（仅服务器模式下显示）
+         */
+        async loadLoginFailures() {
+            const section = document.getElementById('loginFailureSection');
+            if (!section) return;
+
+            section.hidden = !Store.serverAvailable;
+            if (!Store.serverAvailable) return;
+
+            Renderer.renderLoginFailures(null);
+            try {
+                const { failures, blocked } = await Api.get('/auth/failures');
+                Renderer.renderLoginFailures({ failures, blocked });
+            } catch (err) {
+                Renderer.renderLoginFailures({ failures: [], blocked: [] });
+            }
+        },
+
+        /**
+         * 处理从服务器备份恢复
+         * @param {string} filename - 备份文件名
+         */
+        async handleRestoreBackup(filename) {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const confirmed = await Renderer.confirmDialog(`确定要从备份 "${filename}" 恢复数据吗？当前数据会先自动备份。`, '恢复');
+            if (!confirmed) return;
+
+            try {
+                await Api.post(`/backups/${encodeURIComponent(filename)}/restore`);
+                await Store.pull();
+                Toast.show('数据已从备份恢复', 'success');
+                this.loadBackups();
+            } catch (err) {
+                Toast.show(err.message, 'error');
+            }
+        },
+
+        /**
+         * 处理删除服务器备份
+         * @param {string} filename - 备份文件名
+         */
+        async handleDeleteBackup(filename) {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const confirmed = await Renderer.confirmDialog(`确定要删除备份 "${filename}" 吗？此操作无法撤销。`);
+            if (!confirmed) return;
+
+            try {
+                await Api.delete(`/backups/${encodeURIComponent(filename)}`);
+                Toast.show('备份已删除', 'success');
+                this.loadBackups();
+            } catch (err) {
+                Toast.show(err.message, 'error');
             }
         },
 
@@ -1443,8 +2201,7 @@
             }
 
             // 检查是否设置了密码
-            const storedPasswordHash = Store.state.settings.adminPasswordHash;
-            if (!storedPasswordHash) {
+            if (Store.needsInitialSetup()) {
                 // 未设置密码，引导用户设置
                 await this.setupInitialPassword();
                 return this.authState.isAdmin;
@@ -1513,6 +2270,14 @@
                         Toast.show('验证成功', 'success');
                         if (passwordError) passwordError.style.display = 'none';
                         resolve(true);
+                    } else if (Store.getLoginRetryAfter() > 0) {
+                        // 服务器限制了登录尝试
+                        const message = `尝试次数过多，请 ${Store.getLoginRetryAfter()} 秒后重试`;
+                        if (passwordError) {
+                            passwordError.textContent = message;
+                            passwordError.style.display = 'block';
+                        }
+                        Toast.show(message, 'error');
                     } else {
                         // 密码错误
                         this.authState.passwordAttempts++;
@@ -1566,7 +2331,12 @@
                 const initialPasswordInput = document.getElementById('initialPasswordInput');
                 const confirmPasswordSetupInput = document.getElementById('confirmPasswordInput');
                 const initialSetupError = document.getElementById('initialSetupError');
+                const setupTokenGroup = document.getElementById('setupTokenGroup');
+                const setupTokenInput = document.getElementById('setupTokenInput');
 
+                // 服务器模式下需要填写初始化令牌
+                if (setupTokenGroup) setupTokenGroup.hidden = !Store.serverAvailable;
+                if (setupTokenInput) setupTokenInput.value = '';
                 if (initialPasswordInput) initialPasswordInput.value = '';
                 if (confirmPasswordSetupInput) confirmPasswordSetupInput.value = '';
                 if (initialSetupError) initialSetupError.style.display = 'none';
@@ -1577,13 +2347,25 @@
                     const password = initialPasswordInput ? initialPasswordInput.value : '';
                     const confirmPassword = confirmPasswordSetupInput ? confirmPasswordSetupInput.value : '';
 
+                    const setupToken = setupTokenInput ? setupTokenInput.value.trim() : '';
+
+                    if (Store.serverAvailable && !setupToken) {
+                        if (initialSetupError) {
+                            initialSetupError.textContent = '请输入初始化令牌';
+                            initialSetupError.style.display = 'block';
+                        }
+                        Toast.show('请输入初始化令牌', 'error');
+                        return;
+                    }
+
                     // 验证密码
-                    if (!password || password.length < 4) {
+                    const strengthError = Utils.validatePasswordStrength(password);
+                    if (strengthError) {
                         if (initialSetupError) {
-                            initialSetupError.textContent = '密码长度至少为4位';
+                            initialSetupError.textContent = strengthError;
                             initialSetupError.style.display = 'block';
                         }
-                        Toast.show('密码长度至少为4位', 'error');
+                        Toast.show(strengthError, 'error');
                         return;
                     }
 
@@ -1597,8 +2379,8 @@
                     }
 
                     // 保存密码（使用 Store 方法）
-                    const success = await Store.setInitialPassword(password);
-                    if (success) {
+                    const result = await Store.setInitialPassword(password, setupToken);
+                    if (result.success) {
                         this.authState.isAdmin = true;
                         Renderer.hideModals();
                         Toast.show('密码设置成功', 'success');
@@ -1612,11 +2394,12 @@
 
                         resolve(true);
                     } else {
+                        const message = result.error || '密码设置失败，请稍后重试';
                         if (initialSetupError) {
-                            initialSetupError.textContent = '密码设置失败，请稍后重试';
+                            initialSetupError.textContent = message;
                             initialSetupError.style.display = 'block';
                         }
-                        Toast.show('密码设置失败', 'error');
+                        Toast.show(message, 'error');
                     }
                 };
 
@@ -1625,6 +2408,24 @@
             });
         },
 
+        /**
+         * 首次使用时强制显示设置密码模态框
+         */
+        checkInitialSetup() {
+            if (Store.needsInitialSetup() && !this.isInitialSetupActive()) {
+                this.setupInitialPassword();
+            }
+        },
+
+        /**
+         * 设置密码模态框是否正在显示
+         * @returns {boolean}
+         */
+        isInitialSetupActive() {
+            const modal = document.getElementById('initialSetupModal');
+            return Boolean(modal && modal.classList.contains('active'));
+        },
+
         /**
          * 确认初始密码设置
          */
@@ -1651,6 +2452,61 @@
             }
         },
 
+        /**
+         * 打开修改密码模态框
+         */
+        openChangePasswordModal() {
+            ['currentPasswordInput', 'newPasswordInput', 'confirmNewPasswordInput'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            document.getElementById('changePasswordError').textContent = '';
+            Renderer.showModal('changePasswordModal');
+            document.getElementById('currentPasswordInput').focus();
+        },
+
+        /**
+         * 处理修改密码
+         */
+        async handleChangePassword() {
+            const hasPermission = await this.checkPermission();
+            if (!hasPermission) return;
+
+            const currentPassword = document.getElementById('currentPasswordInput').value;
+            const newPassword = document.getElementById('newPasswordInput').value;
+            const confirmPassword = document.getElementById('confirmNewPasswordInput').value;
+            const errorEl = document.getElementById('changePasswordError');
+
+            const showError = (message) => {
+                errorEl.textContent = message;
+                Toast.show(message, 'error');
+            };
+
+            if (!currentPassword) {
+                return showError('请输入当前密码');
+            }
+
+            const strengthError = Utils.validatePasswordStrength(newPassword);
+            if (strengthError) {
+                return showError(strengthError);
+            }
+
+            if (newPassword === currentPassword) {
+                return showError('新密码不能与当前密码相同');
+            }
+
+            if (newPassword !== confirmPassword) {
+                return showError('两次输入的密码不一致');
+            }
+
+            const result = await Store.changePassword(currentPassword, newPassword);
+            if (!result.success) {
+                return showError(result.error);
+            }
+
+            Renderer.hideModals();
+            Toast.show('密码已修改', 'success');
+        },
+
         /**
          * 退出管理模式
          */
@@ -1694,6 +2550,21 @@
             }
         },
 
+        /**
+         * 与 Store 中的登录状态保持一致（例如在其他标签页登录或退出后）
+         */
+        syncAuthState() {
+            if (Store.checkAdminPermission() === this.authState.isAdmin) return;
+
+            this.restoreAuthState();
+            if (!this.authState.isAdmin) {
+                const adminMenu = document.getElementById('adminMenu');
+                if (adminMenu) {
+                    adminMenu.classList.remove('active');
+                }
+            }
+        },
+
         /**
          * 启动会话过期检查定时器
          */
@@ -1766,7 +2637,14 @@
             this.container = document.getElementById('toastContainer');
         },
 
-        show(message, type = 'success') {
+        /**
+         * 显示提示
+         * @param {string} message - 提示内容
+         * @param {string} type - success | error
+         * @param {Object|null} action - 附加按钮 { label, onClick, isAvailable }（如删除后的"撤销"；
+         *   isAvailable 返回 false 时隐藏按钮，数据变化后会重新检查）
+         */
+        show(message, type = 'success', action = null) {
             const toast = document.createElement('div');
             toast.className = `toast ${type}`;
 
@@ -1778,16 +2656,38 @@
                 <span>${Utils.escapeHtml(message)}</span>
             `;
 
+            let unsubscribe = null;
+            const remove = () => {
+                if (unsubscribe) unsubscribe();
+                toast.style.animation = 'fadeOut 0.3s forwards';
+                setTimeout(() => toast.remove(), 300);
+            };
+
+            if (action) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    remove();
+                    action.onClick();
+                }, { once: true });
+                toast.appendChild(button);
+
+                if (action.isAvailable) {
+                    unsubscribe = Store.subscribe(() => {
+                        button.hidden = !action.isAvailable();
+                    });
+                }
+            }
+
             this.container.appendChild(toast);
 
-            // 移动端优化：根据设备类型调整显示时长
-            const duration = Utils.isMobile() ? 2500 : 3000;
+            // 移动端优化：根据设备类型调整显示时长（带按钮的提示多停留一会儿）
+            const duration = (Utils.isMobile() ? 2500 : 3000) + (action ? 2000 : 0);
 
             // 自动移除
-            setTimeout(() => {
-                toast.style.animation = 'fadeOut 0.3s forwards';
-                setTimeout(() => toast.remove(), 300);
-            }, duration);
+            setTimeout(remove, duration);
         }
     };
 
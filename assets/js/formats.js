@@ -0,0 +1,636 @@
+/**
+ * Formats.js - 外部数据格式转换模块
+ * 解析浏览器书签（Netscape 书签 HTML、Firefox JSON 备份）、纯文本网址列表和 CSV 表格，转换为可导入的数据；
+ * 将工具导出为书签 HTML、Markdown、CSV 和 OPML
+ */
+
+((window) => {
+    'use strict';
+
+    // Firefox 书签根目录的显示名称（按 root 字段）
+    const FIREFOX_ROOT_NAMES = {
+        bookmarksMenuFolder: '书签菜单',
+        toolbarFolder: '书签工具栏',
+        unfiledBookmarksFolder: '其他书签',
+        mobileFolder: '移动设备书签'
+    };
+
+    // 文件夹路径分隔符
+    const FOLDER_SEPARATOR = ' / ';
+
+    // 不在任何文件夹中的书签默认导入到的分类
+    const DEFAULT_CATEGORY = '未分类';
+
+    // 只导入网页链接（跳过 javascript: 书签小工具、place: 查询等）
+    const SUPPORTED_PROTOCOLS = ['http:', 'https:'];
+
+    // 导出文件的标题
+    const EXPORT_TITLE = '我的工具箱';
+
+    // 导出格式：文件扩展名和 MIME 类型
+    const EXPORT_FORMATS = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        html: { extension: 'html', mimeType: 'text/html' },
+        markdown: { extension: 'md', mimeType: 'text/markdown' },
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        opml: { extension: 'opml', mimeType: 'text/x-opml' }
+    };
+
+    // CSV 导出的列（与工具字段一致）
+    const CSV_COLUMNS = ['id', 'title', 'url', 'category', 'desc', 'favorite', 'order'];
+
+    // CSV 导入时按表头自动对应的列名（小写）
+    const CSV_FIELD_ALIASES = {
+        title: ['title', 'name', '名称', '标题', '工具', '服务'],
+        url: ['url', 'link', 'href', 'address', '网址', '链接', '地址'],
+        category: ['category', 'folder', 'group', '分类', '类别', '分组'],
+        desc: ['desc', 'description', 'note', 'notes', '描述', '说明', '备注'],
+        favorite: ['favorite', 'favourite', 'star', 'starred', '收藏', '常用']
+    };
+
+    // CSV 中表示"是"的取值（用于收藏列）
+    const CSV_TRUE_VALUES = ['true', '1', 'yes', 'y', '是', '√', '✓', '★', 'x'];
+
+    // 常见 HTML 实体
+    const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+    /**
+     * 解码 HTML 实体
+     * @param {string} text - 含实体的文本
+     * @returns {string}
+     */
+    const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+
+    /**
+     * 去除标签并解码实体，得到纯文本
+     * @param {string} html - HTML 片段
+     * @returns {string}
+     */
+    const htmlToText = (html) => decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+    /**
+     * 从文本的指定位置读取网址
+     * 网址中成对的括号会保留（例如 https://en.wikipedia.org/wiki/Foo_(bar)），
+     * 遇到空白、引号、尖括号或没有配对的 ) 时结束，并去掉末尾的标点
+     * @param {string} text - 文本
+     * @param {number} start - 网址开始的位置
+     * @returns {string}
+     */
+    const readUrlAt = (text, start) => {
+        let depth = 0;
+        let end = start;
+
+        for (; end < text.length; end++) {
+            const char = text[end];
+            if (/[\s<>"'`]/.test(char)) break;
+            if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+        }
+
+        return text.slice(start, end).replace(/[.,;:!?，。；：！？、\]]+$/, '');
+    };
+
+    /**
+     * 转义 HTML / XML 特殊字符
+     * @param {string} text - 原始文本
+     * @returns {string}
+     */
+    const escapeXml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    // 以这些字符开头的单元格会被 Excel 等表格软件当作公式执行
+    const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    /**
+     * 转义 CSV 字段
+     * - 可能被当作公式的字段前加 '，防止公式注入
+     * - 包含逗号、引号或换行时加引号
+     * @param {*} value - 字段值
+     * @returns {string}
+     */
+    const escapeCsv = (value) => {
+        let text = String(value ?? '');
+        if (CSV_FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const Formats = {
+        DEFAULT_CATEGORY,
+
+        EXPORT_FORMATS,
+
+        /**
+         * 识别并解析导入文件
+         * - 本站的 JSON 备份：{ type: 'backup', data }
+         * - 书签和网址列表：{ type: 'bookmarks', format, bookmarks, skipped }
+         * @param {string} text - 文件内容
+         * @returns {Object}
+         */
+        parseImportFile(text) {
+            const content = text.replace(/^\uFEFF/, '').trim();
+
+            if (content.startsWith('{') || content.startsWith('[')) {
+                let data;
+                try {
+                    data = JSON.parse(content);
+                } catch {
+                    throw new Error('无效的 JSON 文件');
+                }
+
+                if (this.isFirefoxBackup(data)) {
+                    return { type: 'bookmarks', format: 'firefox', ...this.filterBookmarks(this.parseFirefoxBookmarks(data)) };
+                }
+                return { type: 'backup', data };
+            }
+
+            if (/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(content) || /<dl[\s>]/i.test(content)) {
+                return { type: 'bookmarks', format: 'netscape', ...this.filterBookmarks(this.parseNetscapeBookmarks(content)) };
+            }
+
+            return { type: 'bookmarks', format: 'urls', ...this.filterBookmarks(this.parseUrlList(content)) };
+        },
+
+        /**
+         * 是否为 Firefox 的 JSON 书签备份
+         * @param {*} data - 解析后的 JSON
+         * @returns {boolean}
+         */
+        isFirefoxBackup(data) {
+            return Boolean(data) && typeof data === 'object'
+                && (data.type === 'text/x-moz-place-container' || data.guid === 'root________');
+        },
+
+        /**
+         * 解析 Netscape 书签 HTML（Chrome、Edge、Firefox、Safari 导出的书签文件）
+         * <H3> 为文件夹名称，紧随其后的 <DL> 为文件夹内容，<DD> 为上一个书签的描述
+         * @param {string} html - 书签文件内容
+         * @returns {Array<{title: string, url: string, folder: string, desc: string}>}
+         */
+        parseNetscapeBookmarks(html) {
+            const bookmarks = [];
+            const folders = [];
+            const tagPattern = /<(\/?)(dl|h3|a|dd)\b([^>]*)>/gi;
+            let pendingFolder = null;
+            let lastBookmark = null;
+            let match;
+
+            // 读取当前标签之后到结束标签之前的文本，并跳过结束标签
+            const readUntil = (closePattern) => {
+                const start = tagPattern.lastIndex;
+                const rest = html.slice(start);
+                const close = closePattern.exec(rest);
+                const end = close ? close.index : rest.length;
+                tagPattern.lastIndex = start + end + (close ? close[0].length : 0);
+                return htmlToText(rest.slice(0, end));
+            };
+
+            while ((match = tagPattern.exec(html))) {
+                const [, closing, tag, attrs] = match;
+
+                switch (tag.toLowerCase()) {
+                    case 'dl':
+                        if (closing) {
+                            folders.pop();
+                        } else {
+                            folders.push(pendingFolder);
+                            pendingFolder = null;
+                        }
+                        lastBookmark = null;
+                        break;
+                    case 'h3':
+                        if (closing) break;
+                        pendingFolder = readUntil(/<\/h3\s*>/i);
+                        lastBookmark = null;
+                        break;
+                    case 'a': {
+                        if (closing) break;
+                        const href = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attrs);
+                        const title = readUntil(/<\/a\s*>/i);
+                        if (!href) break;
+
+                        lastBookmark = {
+                            title,
+                            url: decodeEntities(href[1] ?? href[2] ?? href[3]).trim(),
+                            folder: folders.filter(Boolean).join(FOLDER_SEPARATOR),
+                            desc: ''
+                        };
+                        bookmarks.push(lastBookmark);
+                        break;
+                    }
+                    case 'dd':
+                        if (closing || !lastBookmark) break;
+                        lastBookmark.desc = readUntil(/<(?:dt|dl|\/dl|dd)\b/i);
+                        lastBookmark = null;
+                        break;
+                }
+            }
+
+            return bookmarks;
+        },
+
+        /**
+         * 解析 Firefox 的 JSON 书签备份（书签管理器 - 备份）
+         * @param {Object} root - 根节点
+         * @returns {Array<{title: string, url: string, folder: string, desc: string}>}
+         */
+        parseFirefoxBookmarks(root) {
+            const bookmarks = [];
+
+            const walk = (node, path) => {
+                if (!node || typeof node !== 'object') return;
+
+                if (node.type === 'text/x-moz-place' && node.uri) {
+                    const description = (node.annos || []).find(anno => anno.name === 'bookmarkProperties/description');
+                    bookmarks.push({
+                        title: node.title || '',
+                        url: node.uri,
+                        folder: path.join(FOLDER_SEPARATOR),
+                        desc: description ? String(description.value) : ''
+                    });
+                    return;
+                }
+
+                if (Array.isArray(node.children)) {
+                    // 根节点（placesRoot）没有名称，不计入路径
+                    const name = FIREFOX_ROOT_NAMES[node.root] || node.title;
+                    const childPath = name && node.root !== 'placesRoot' ? [...path, name] : path;
+                    node.children.forEach(child => walk(child, childPath));
+                }
+            };
+
+            walk(root, []);
+            return bookmarks;
+        },
+
+        /**
+         * 解析纯文本网址列表（每行一个网址，网址前后的文字作为名称，# 开头的行为注释；
+         * 也支持 Markdown 链接 [名称](网址)）
+         * @param {string} text - 文件内容
+         * @returns {Array<{title: string, url: string, folder: string, desc: string}>}
+         */
+        parseUrlList(text) {
+            const bookmarks = [];
+
+            text.split(/\r?\n/).forEach(line => {
+                line = line.trim();
+                if (!line || line.startsWith('#')) return;
+
+                // Markdown 链接 [名称](网址)：名称和网址都取自链接语法
+                const link = /\[([^\]]*)\]\(\s*(?=https?:\/\/)/i.exec(line);
+                if (link) {
+                    const url = readUrlAt(line, link.index + link[0].length);
+                    bookmarks.push({ title: link[1].trim(), url, folder: '', desc: '' });
+                    return;
+                }
+
+                const start = line.search(/https?:\/\//i);
+                if (start === -1) return;
+
+                const url = readUrlAt(line, start);
+                const title = (line.slice(0, start) + ' ' + line.slice(start + url.length))
+                    .replace(/[[\]()<>|]/g, ' ')
+                    .replace(/^[\s\-*+•,:：]+|[\s\-*+•,:：]+$/g, '')
+                    .replace(/\s+/g, ' ');
+
+                bookmarks.push({ title, url, folder: '', desc: '' });
+            });
+
+            return bookmarks;
+        },
+
+        /**
+         * 过滤不支持的链接，没有名称的书签使用域名作为名称
+         * @param {Object[]} bookmarks - 解析出的书签
+         * @returns {{bookmarks: Object[], skipped: number}}
+         */
+        filterBookmarks(bookmarks) {
+            const valid = [];
+
+            bookmarks.forEach(bookmark => {
+                let parsed;
+                try {
+                    parsed = new URL(bookmark.url);
+                } catch {
+                    return;
+                }
+                if (!SUPPORTED_PROTOCOLS.includes(parsed.protocol)) return;
+
+                valid.push({ ...bookmark, title: bookmark.title || parsed.hostname.replace(/^www\./, '') });
+            });
+
+            return { bookmarks: valid, skipped: bookmarks.length - valid.length };
+        },
+
+        /**
+         * 按文件夹分组（保持文件中的顺序）
+         * @param {Object[]} bookmarks - 书签列表
+         * @returns {Array<{folder: string, category: string, bookmarks: Object[]}>} - category 为建议的分类名
+         */
+        groupByFolder(bookmarks) {
+            const groups = new Map();
+
+            bookmarks.forEach(bookmark => {
+                if (!groups.has(bookmark.folder)) {
+                    const segments = bookmark.folder.split(FOLDER_SEPARATOR);
+                    groups.set(bookmark.folder, {
+                        folder: bookmark.folder,
+                        category: segments[segments.length - 1] || DEFAULT_CATEGORY,
+                        bookmarks: []
+                    });
+                }
+                groups.get(bookmark.folder).bookmarks.push(bookmark);
+            });
+
+            return [...groups.values()];
+        },
+
+        /**
+         * 按文件夹与分类的对应关系生成导入数据
+         * @param {Object[]} groups - groupByFolder 返回的分组
+         * @param {string[]} categories - 每个分组对应的分类名（为空表示跳过该文件夹）
+         * @returns {{schemaVersion: number, categories: string[], tools: Object[]}}
+         */
+        toImportData(groups, categories) {
+            const data = { schemaVersion: Schema.SCHEMA_VERSION, categories: [], tools: [] };
+
+            groups.forEach((group, index) => {
+                const category = (categories[index] || '').trim();
+                if (!category) return;
+
+                if (!data.categories.includes(category)) {
+                    data.categories.push(category);
+                }
+
+                group.bookmarks.forEach(bookmark => {
+                    const tool = { id: Utils.generateId(), title: bookmark.title, url: bookmark.url, category };
+                    if (bookmark.desc) tool.desc = bookmark.desc;
+                    data.tools.push(tool);
+                });
+            });
+
+            return data;
+        },
+
+        /**
+         * 解析 CSV（支持引号包裹的字段和字段内换行，按第一行自动识别逗号、分号或制表符分隔）
+         * @param {string} text - 文件内容
+         * @returns {string[][]} - 行列表（已去除空行）
+         */
+        parseCsv(text) {
+            const content = text.replace(/^\uFEFF/, '');
+            const firstLine = content.split(/\r?\n/, 1)[0];
+            const delimiter = [',', ';', '\t']
+                .map(char => ({ char, count: firstLine.split(char).length }))
+                .sort((a, b) => b.count - a.count)[0].char;
+
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+
+            for (let i = 0; i < content.length; i++) {
+                const char = content[i];
+
+                if (quoted) {
+                    if (char === '"' && content[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && field === '') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && content[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+
+            row.push(field);
+            rows.push(row);
+
+            return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        },
+
+        /**
+         * 第一行是否为表头（没有任何单元格是网址）
+         * @param {string[][]} rows - parseCsv 返回的行
+         * @returns {boolean}
+         */
+        hasCsvHeader(rows) {
+            return rows.length > 0 && !rows[0].some(cell => /^https?:\/\//i.test(cell.trim()));
+        },
+
+        /**
+         * 猜测各字段对应的列（有表头时按列名，没有表头时网址列为第一个网址所在的列，名称列为其后第一列）
+         * @param {string[][]} rows - parseCsv 返回的行
+         * @param {boolean} hasHeader - 第一行是否为表头
+         * @returns {{title: number, url: number, category: number, desc: number, favorite: number}} - 列序号，-1 表示不导入
+         */
+        guessCsvColumns(rows, hasHeader) {
+            const mapping = { title: -1, url: -1, category: -1, desc: -1, favorite: -1 };
+            if (rows.length === 0) return mapping;
+
+            if (hasHeader) {
+                const header = rows[0].map(cell => cell.trim().toLowerCase());
+                Object.entries(CSV_FIELD_ALIASES).forEach(([field, aliases]) => {
+                    mapping[field] = header.findIndex(name => aliases.includes(name));
+                });
+                return mapping;
+            }
+
+            mapping.url = rows[0].findIndex(cell => /^https?:\/\//i.test(cell.trim()));
+            mapping.title = rows[0].findIndex((cell, index) => index !== mapping.url && cell.trim() !== '');
+            return mapping;
+        },
+
+        /**
+         * 按列的对应关系读取 CSV 行，并检查网址
+         * @param {string[][]} rows - 数据行（不含表头）
+         * @param {Object} mapping - 各字段对应的列序号（见 guessCsvColumns）
+         * @returns {Array<{title: string, url: string, category: string, desc: string, favorite: boolean, error: string}>}
+         */
+        mapCsvRows(rows, mapping) {
+            // 去掉导出时为防止公式注入添加的 '（见 escapeCsv）
+            const read = (cells, field) => (mapping[field] >= 0
+                ? (cells[mapping[field]] || '').trim().replace(/^'(?=[=+\-@\t\r])/, '')
+                : '');
+
+            return rows.map(cells => {
+                const url = read(cells, 'url');
+                const item = {
+                    title: read(cells, 'title'),
+                    url,
+                    category: read(cells, 'category') || DEFAULT_CATEGORY,
+                    desc: read(cells, 'desc'),
+                    favorite: CSV_TRUE_VALUES.includes(read(cells, 'favorite').toLowerCase()),
+                    error: ''
+                };
+
+                if (!url) {
+                    item.error = '缺少网址';
+                } else if (!Utils.isValidUrl(url) || !Schema.isSafeUrl(url)) {
+                    item.error = '网址无效';
+                } else if (!item.title) {
+                    item.title = new URL(url).hostname.replace(/^www\./, '') || url;
+                }
+
+                return item;
+            });
+        },
+
+        /**
+         * 按分类分组工具（按分类顺序，不在分类列表中的工具归入各自的分类并排在最后）
+         * @param {{categories: string[], tools: Object[]}} data - 要导出的数据
+         * @returns {Array<{category: string, tools: Object[]}>} - 只包含有工具的分类
+         */
+        groupByCategory(data) {
+            const categories = [...new Set([...data.categories, ...data.tools.map(tool => tool.category || DEFAULT_CATEGORY)])];
+            return categories
+                .map(category => ({
+                    category,
+                    tools: data.tools.filter(tool => (tool.category || DEFAULT_CATEGORY) === category)
+                }))
+                .filter(group => group.tools.length > 0);
+        },
+
+        /**
+         * 导出为指定格式
+         * @param {string} format - 导出格式（见 EXPORT_FORMATS，json 以外的格式只包含分类和工具）
+         * @param {Object} data - 要导出的数据
+         * @returns {string} - 文件内容
+         */
+        serialize(format, data) {
+            switch (format) {
+                case 'html':
+                    return this.toBookmarkHtml(data);
+                case 'markdown':
+                    return this.toMarkdown(data);
+                case 'csv':
+                    return this.toCsv(data);
+                case 'opml':
+                    return this.toOpml(data);
+                default:
+                    return JSON.stringify(data, null, 2);
+            }
+        },
+
+        /**
+         * 导出为 Netscape 书签 HTML（可导入 Chrome、Edge、Firefox、Safari），每个分类为一个文件夹
+         * @param {Object} data - 要导出的数据
+         * @returns {string}
+         */
+        toBookmarkHtml(data) {
+            const now = Math.floor(Date.now() / 1000);
+            const lines = [
+                '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+                '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+                `<TITLE>${EXPORT_TITLE}</TITLE>`,
+                `<H1>${EXPORT_TITLE}</H1>`,
+                '<DL><p>'
+            ];
+
+            this.groupByCategory(data).forEach(({ category, tools }) => {
+                lines.push(`    <DT><H3 ADD_DATE="${now}">${escapeXml(category)}</H3>`);
+                lines.push('    <DL><p>');
+                tools.forEach(tool => {
+                    lines.push(`        <DT><A HREF="${escapeXml(tool.url)}" ADD_DATE="${now}">${escapeXml(tool.title)}</A>`);
+                    if (tool.desc) {
+                        lines.push(`        <DD>${escapeXml(tool.desc)}`);
+                    }
+                });
+                lines.push('    </DL><p>');
+            });
+
+            lines.push('</DL><p>');
+            return lines.join('\n') + '\n';
+        },
+
+        /**
+         * 导出为 Markdown 链接列表（按分类分组）
+         * @param {Object} data - 要导出的数据
+         * @returns {string}
+         */
+        toMarkdown(data) {
+            const escapeText = (text) => String(text).replace(/([\\[\]*_`<>])/g, '\\$1');
+            const escapeLink = (url) => url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+            const lines = [`# ${EXPORT_TITLE}`];
+
+            this.groupByCategory(data).forEach(({ category, tools }) => {
+                lines.push('', `## ${escapeText(category)}`, '');
+                tools.forEach(tool => {
+                    const desc = tool.desc ? ` - ${escapeText(tool.desc)}` : '';
+                    lines.push(`- [${escapeText(tool.title)}](${escapeLink(tool.url)})${desc}`);
+                });
+            });
+
+            return lines.join('\n') + '\n';
+        },
+
+        /**
+         * 导出为 CSV（包含工具的全部字段，带 BOM 以便 Excel 正确识别 UTF-8）
+         * @param {Object} data - 要导出的数据
+         * @returns {string}
+         */
+        toCsv(data) {
+            const rows = data.tools.map(tool => CSV_COLUMNS.map(column => escapeCsv(tool[column])).join(','));
+            return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+        },
+
+        /**
+         * 导出为 OPML 2.0（每个分类为一个 outline，工具为 type="link" 的子项）
+         * @param {Object} data - 要导出的数据
+         * @returns {string}
+         */
+        toOpml(data) {
+            const lines = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<opml version="2.0">',
+                '    <head>',
+                `        <title>${EXPORT_TITLE}</title>`,
+                `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+                '    </head>',
+                '    <body>'
+            ];
+
+            this.groupByCategory(data).forEach(({ category, tools }) => {
+                lines.push(`        <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`);
+                tools.forEach(tool => {
+                    const desc = tool.desc ? ` description="${escapeXml(tool.desc)}"` : '';
+                    lines.push(`            <outline type="link" text="${escapeXml(tool.title)}" url="${escapeXml(tool.url)}"${desc}/>`);
+                });
+                lines.push('        </outline>');
+            });
+
+            lines.push('    </body>', '</opml>');
+            return lines.join('\n') + '\n';
+        }
+    };
+
+    // 导出 Formats
+    window.Formats = Formats;
+
+})(window);
@@ -0,0 +1,112 @@
+/**
+ * Pwa.js - 页面启动脚本
+ * 启用异步样式表、注册 Service Worker 和处理 PWA 安装提示
+ * （原 index.html 中的内联脚本，拆分出来以便使用严格的 CSP）
+ */
+
+(function() {
+    'use strict';
+
+    // 启用预加载的外部样式表（<link rel="preload" as="style">），页面渲染不会被其阻塞
+    // 代替原来的内联 onload 属性，以便 Content-Security-Policy 禁止内联脚本
+    document.querySelectorAll('link[rel="preload"][as="style"]').forEach(function(link) {
+        link.rel = 'stylesheet';
+    });
+
+    // Performance optimization: Mark body as loaded when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            document.body.classList.add('loaded');
+        });
+    } else {
+        document.body.classList.add('loaded');
+    }
+
+    // Service Worker registration with enhanced error handling
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', function() {
+            navigator.serviceWorker.register('/sw.js', { scope: '/' })
+                .then(function(registration) {
+                    console.log('Service Worker 注册成功:', registration.scope);
+
+                    // Handle updates
+                    registration.addEventListener('updatefound', function() {
+                        const newWorker = registration.installing;
+                        newWorker.addEventListener('statechange', function() {
+                            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                                console.log('发现新版本');
+                                // Use custom notification instead of alert for better mobile UX
+                                const toastContainer = document.getElementById('toastContainer');
+                                if (toastContainer) {
+                                    const toast = document.createElement('div');
+                                    toast.className = 'toast';
+                                    toast.innerHTML = `
+                                        <div class="toast-content">
+                                            <i class="fa-solid fa-download"></i>
+                                            <span>发现新版本</span>
+                                            <button type="button" class="toast-action">立即刷新</button>
+                                            <button type="button" class="toast-close"><i class="fa-solid fa-times"></i></button>
+                                        </div>
+                                    `;
+                                    toast.querySelector('.toast-action').addEventListener('click', function() {
+                                        window.location.reload();
+                                    });
+                                    toast.querySelector('.toast-close').addEventListener('click', function() {
+                                        toast.remove();
+                                    });
+                                    toastContainer.appendChild(toast);
+                                    setTimeout(() => toast.remove(), 30000);
+                                }
+                            }
+                        });
+                    });
+                })
+                .catch(function(error) {
+                    console.error('Service Worker 注册失败:', error);
+                });
+        });
+
+        // Handle controller change
+        let refreshing = false;
+        navigator.serviceWorker.addEventListener('controllerchange', function() {
+            if (!refreshing) {
+                refreshing = true;
+                window.location.reload();
+            }
+        });
+    }
+
+    // PWA install prompt enhancement
+    let deferredPrompt;
+    window.addEventListener('beforeinstallprompt', function(e) {
+        e.preventDefault();
+        deferredPrompt = e;
+
+        // Show install button if it exists
+        const installBtn = document.getElementById('installBtn');
+        if (installBtn) {
+            installBtn.style.display = 'block';
+            installBtn.addEventListener('click', function() {
+                if (deferredPrompt) {
+                    deferredPrompt.prompt();
+                    deferredPrompt.userChoice.then(function(choiceResult) {
+                        if (choiceResult.outcome === 'accepted') {
+                            console.log('用户接受了安装提示');
+                        }
+                        deferredPrompt = null;
+                    });
+                }
+            });
+        }
+    });
+
+    // Handle app installed event
+    window.addEventListener('appinstalled', function() {
+        deferredPrompt = null;
+        const installBtn = document.getElementById('installBtn');
+        if (installBtn) {
+            installBtn.style.display = 'none';
+        }
+        console.log('PWA 已安装');
+    });
+})();
@@ -425,6 +425,36 @@
             iconEl.className = engine.icon;
         },
 
+        /**
+         * 更新服务器同步状态指示器
+         * @param {string} status - 同步状态
+         */
+        updateSyncStatus(status) {
+            const indicator = document.getElementById('syncStatus');
+            if (!indicator) return;
+
+            const SYNC_STATUS = {
+                syncing: { icon: 'fa-solid fa-rotate fa-spin', title: '正在同步...' },
+                synced: { icon: 'fa-solid fa-cloud', title: '已与服务器同步' },
+                pending: { icon: 'fa-solid fa-cloud-arrow-up', title: '有未同步的修改，登录后自动同步' },
+                locked: { icon: 'fa-solid fa-cloud-arrow-down', title: '登录后从服务器加载数据，点击登录' },
+                offline: { icon: 'fa-solid fa-plug-circle-xmark', title: '离线模式，修改已保存在本地' },
+                conflict: { icon: 'fa-solid fa-code-merge', title: '数据冲突，点击处理' },
+                error: { icon: 'fa-solid fa-triangle-exclamation', title: '同步失败，点击重试' }
+            };
+
+            const config = SYNC_STATUS[status];
+
+            // 纯本地部署时隐藏指示器
+            indicator.hidden = !config;
+            if (!config) return;
+
+            indicator.dataset.status = status;
+            indicator.title = config.title;
+            indicator.setAttribute('aria-label', config.title);
+            indicator.querySelector('i').className = config.icon;
+        },
+
         /**
          * 应用背景图
          * @param {string} url - 背景图 URL
@@ -837,12 +867,464 @@
             });
         },
 
+        /**
+         * 渲染服务器备份列表
+         * @param {Array|null} backups - 备份列表，null 表示加载中
+         */
+        renderBackupList(backups) {
+            const list = document.getElementById('backupList');
+            if (!list) return;
+
+            list.innerHTML = '';
+
+            if (!backups || backups.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'backup-empty';
+                empty.textContent = backups ? '暂无备份' : '加载中...';
+                list.appendChild(empty);
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+
+            backups.forEach(backup => {
+                const item = document.createElement('li');
+                item.className = 'backup-item';
+                item.dataset.filename = backup.filename;
+
+                const encoded = encodeURIComponent(backup.filename);
+                item.innerHTML = `
+                    <div class="backup-info">
+                        <span class="backup-name">${Utils.escapeHtml(backup.filename)}</span>
+                        <span class="backup-meta">${Utils.formatDateTime(backup.created)} · ${Utils.formatFileSize(backup.size)}</span>
+                    </div>
+                    <div class="backup-actions">
+                        <button type="button" class="action-dot" data-action="restore" title="恢复" aria-label="从此备份恢复">
+                            <i class="fa-solid fa-clock-rotate-left"></i>
+                        </button>
+                        <a class="action-dot" href="/api/backups/${encoded}/download" download title="下载" aria-label="下载此备份">
+                            <i class="fa-solid fa-download"></i>
+                        </a>
+                        <button type="button" class="action-dot delete" data-action="delete" title="删除" aria-label="删除此备份">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                    </div>
+                `;
+
+                fragment.appendChild(item);
+            });
+
+            list.appendChild(fragment);
+        },
+
+        /**
+         * 渲染登录失败记录（null 表示加载中）
+         * @param {Object|null} log - { failures, blocked }
+         */
+        renderLoginFailures(log) {
+            const list = document.getElementById('loginFailureList');
+            if (!list) return;
+
+            list.innerHTML = '';
+
+            if (!log || (log.failures.length === 0 && log.blocked.length === 0)) {
+                const empty = document.createElement('li');
+                empty.className = 'backup-empty';
+                empty.textContent = log ? '暂无失败记录' : '加载中...';
+                list.appendChild(empty);
+                return;
+            }
+
+            const REASON_LABELS = {
+                wrong_password: '密码错误',
+                blocked: '已拦截'
+            };
+
+            const createItem = (name, meta) => {
+                const item = document.createElement('li');
+                item.className = 'backup-item';
+                item.innerHTML = `
+                    <div class="backup-info">
+                        <span class="backup-name">${Utils.escapeHtml(name)}</span>
+                        <span class="backup-meta">${Utils.escapeHtml(meta)}</span>
+                    </div>
+                `;
+                return item;
+            };
+
+            const fragment = document.createDocumentFragment();
+
+            // 当前被限制的 IP 排在最前面
+            log.blocked.forEach(entry => {
+                const item = createItem(
+                    `${entry.ip} · 限制中`,
+                    `连续失败 ${entry.count} 次，${Utils.formatDateTime(entry.blockedUntil)} 前禁止登录`
+                );
+                item.classList.add('login-blocked');
+                fragment.appendChild(item);
+            });
+
+            log.failures.forEach(entry => {
+                const reason = REASON_LABELS[entry.reason] || entry.reason;
+                const meta = [Utils.formatDateTime(entry.time), entry.userAgent].filter(Boolean).join(' · ');
+                const item = createItem(`${entry.ip} · ${reason}`, meta);
+                item.title = entry.userAgent || '';
+                fragment.appendChild(item);
+            });
+
+            list.appendChild(fragment);
+        },
+
+        /**
+         * 渲染回收站
+         * @param {Array} trash - 回收站条目
+         */
+        renderTrashList(trash) {
+            const list = document.getElementById('trashList');
+            if (!list) return;
+
+            list.innerHTML = '';
+
+            if (trash.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'backup-empty';
+                empty.textContent = '回收站是空的';
+                list.appendChild(empty);
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+
+            // 最近删除的排在最前面
+            [...trash].sort((a, b) => b.deletedAt - a.deletedAt).forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'backup-item';
+                item.dataset.id = entry.id;
+
+                const name = entry.type === 'tool'
+                    ? `工具「${entry.tool.title}」`
+                    : `分类「${entry.category}」（${entry.tools.length} 个工具）`;
+
+                item.innerHTML = `
+                    <div class="backup-info">
+                        <span class="backup-name" title="${Utils.escapeHtml(name)}">${Utils.escapeHtml(name)}</span>
+                        <span class="backup-meta">删除于 ${Utils.formatDateTime(entry.deletedAt)}</span>
+                    </div>
+                    <div class="backup-actions">
+                        <button type="button" class="action-dot" data-action="restore" title="恢复" aria-label="从回收站恢复">
+                            <i class="fa-solid fa-rotate-left"></i>
+                        </button>
+                        <button type="button" class="action-dot delete" data-action="purge" title="彻底删除" aria-label="彻底删除">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                    </div>
+                `;
+
+                fragment.appendChild(item);
+            });
+
+            list.appendChild(fragment);
+        },
+
+        /**
+         * 渲染服务器修改历史
+         * @param {Array|null} entries - 历史记录（最新的在前），null 表示加载中
+         */
+        renderHistoryList(entries) {
+            const list = document.getElementById('historyList');
+            if (!list) return;
+
+            list.innerHTML = '';
+
+            if (!entries || entries.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'backup-empty';
+                empty.textContent = entries ? '暂无修改记录' : '加载中...';
+                list.appendChild(empty);
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'backup-item';
+                item.dataset.id = entry.id;
+                if (entry.revertOf) item.classList.add('history-revert');
+
+                const summary = this.describeHistoryEntry(entry);
+                const meta = [
+                    Utils.formatDateTime(entry.time),
+                    entry.session && `会话 ${entry.session}`,
+                    entry.ip
+                ].filter(Boolean).join(' · ');
+
+                item.innerHTML = `
+                    <div class="backup-info">
+                        <span class="backup-name" title="${Utils.escapeHtml(summary)}">${Utils.escapeHtml(summary)}</span>
+                        <span class="backup-meta">${Utils.escapeHtml(meta)}</span>
+                    </div>
+                    <div class="backup-actions">
+                        <button type="button" class="action-dot" data-action="revert" title="撤销" aria-label="撤销此修改">
+                            <i class="fa-solid fa-rotate-left"></i>
+                        </button>
+                    </div>
+                `;
+
+                fragment.appendChild(item);
+            });
+
+            list.appendChild(fragment);
+        },
+
+        /**
+         * 生成历史记录的说明文字
+         * @param {Object} entry - 历史记录
+         * @returns {string}
+         */
+        describeHistoryEntry(entry) {
+            const ACTION_LABELS = { add: '添加', update: '修改', delete: '删除' };
+            const FIELD_LABELS = {
+                title: '名称',
+                url: '链接',
+                category: '分类',
+                desc: '描述',
+                favorite: '收藏',
+                order: '排序'
+            };
+
+            let text;
+            switch (entry.type) {
+                case 'tool': {
+                    text = `${ACTION_LABELS[entry.action]}工具「${entry.label}」`;
+                    if (entry.action === 'update') {
+                        const fields = Object.keys({ ...entry.before, ...entry.after })
+                            .filter(key => JSON.stringify(entry.before[key]) !== JSON.stringify(entry.after[key]))
+                            .map(key => FIELD_LABELS[key] || key);
+                        text += `（${fields.join('、')}）`;
+                    }
+                    break;
+                }
+                case 'toolOrder':
+                    text = `调整 ${Object.keys(entry.before).length} 个工具的顺序`;
+                    break;
+                case 'category':
+                    text = `${ACTION_LABELS[entry.action]}分类「${entry.label}」`;
+                    break;
+                case 'categoryOrder':
+                    text = '调整分类顺序';
+                    break;
+                case 'settings':
+                    text = `修改设置 ${entry.label}`;
+                    break;
+                default:
+                    text = `${entry.type} ${entry.action}`;
+            }
+
+            return entry.revertOf ? `撤销：${text}` : text;
+        },
+
+        /**
+         * 渲染导出对话框中的分类选项（默认全部选中）
+         * @param {string[]} categories - 分类列表
+         */
+        renderExportCategories(categories) {
+            const container = document.getElementById('exportCategoryList');
+            if (!container) return;
+
+            container.innerHTML = '';
+            categories.forEach(category => {
+                const label = document.createElement('label');
+                label.className = 'import-option';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = category;
+                checkbox.checked = true;
+
+                const name = document.createElement('span');
+                name.textContent = category;
+
+                label.append(checkbox, name);
+                container.appendChild(label);
+            });
+        },
+
+        /**
+         * 渲染书签文件夹与分类的对应关系（分类输入框可选择已有分类，清空表示跳过该文件夹）
+         * @param {Object[]} groups - Formats.groupByFolder 返回的分组
+         * @param {string[]} categories - 已有的分类
+         */
+        renderBookmarkFolders(groups, categories) {
+            const list = document.getElementById('bookmarkFolderList');
+            const options = document.getElementById('bookmarkCategoryOptions');
+            if (!list || !options) return;
+
+            options.innerHTML = '';
+            categories.forEach(category => {
+                const option = document.createElement('option');
+                option.value = category;
+                options.appendChild(option);
+            });
+
+            list.innerHTML = '';
+            const fragment = document.createDocumentFragment();
+
+            groups.forEach((group, index) => {
+                const item = document.createElement('li');
+                item.className = 'backup-item';
+
+                const folder = group.folder || '（不在文件夹中）';
+                item.innerHTML = `
+                    <div class="backup-info">
+                        <span class="backup-name" title="${Utils.escapeHtml(folder)}">${Utils.escapeHtml(folder)}</span>
+                        <span class="backup-meta">${group.bookmarks.length} 个网址</span>
+                    </div>
+                    <input type="text" class="form-input folder-category-input" list="bookmarkCategoryOptions"
+                        placeholder="跳过" aria-label="${Utils.escapeHtml(folder)} 导入到的分类">
+                `;
+
+                const input = item.querySelector('input');
+                input.value = group.category;
+                input.dataset.index = index;
+
+                fragment.appendChild(item);
+            });
+
+            list.appendChild(fragment);
+        },
+
+        /**
+         * 渲染 CSV 列对应选项
+         * @param {string[]} columns - 列名（没有表头时为"第 N 列"）
+         * @param {Object} mapping - 各字段对应的列序号，-1 表示不导入
+         */
+        renderCsvMapping(columns, mapping) {
+            const container = document.getElementById('csvColumnMapping');
+            if (!container) return;
+
+            const FIELD_LABELS = { title: '名称', url: '网址', category: '分类', desc: '描述', favorite: '收藏' };
+            container.innerHTML = '';
+
+            Object.entries(FIELD_LABELS).forEach(([field, text]) => {
+                const id = `csvColumn-${field}`;
+
+                const label = document.createElement('label');
+                label.htmlFor = id;
+                label.textContent = text;
+
+                const select = document.createElement('select');
+                select.id = id;
+                select.className = 'form-input';
+                select.dataset.field = field;
+                select.add(new Option('（不导入）', '-1'));
+                columns.forEach((column, index) => select.add(new Option(column, String(index))));
+                select.value = String(mapping[field]);
+
+                container.append(label, select);
+            });
+        },
+
+        /**
+         * 渲染 CSV 导入预览（无效的行标红）
+         * @param {Object[]} items - Formats.mapCsvRows 返回的行，附带 row（文件中的行号）
+         * @param {number} limit - 最多显示的行数
+         */
+        renderCsvPreview(items, limit = 200) {
+            const table = document.getElementById('csvPreviewTable');
+            if (!table) return;
+
+            table.innerHTML = `
+                <thead>
+                    <tr><th>行</th><th>名称</th><th>网址</th><th>分类</th><th>收藏</th><th>状态</th></tr>
+                </thead>
+            `;
+
+            const body = document.createElement('tbody');
+            items.slice(0, limit).forEach(item => {
+                const row = document.createElement('tr');
+                if (item.error) row.className = 'invalid';
+
+                [item.row, item.title, item.url, item.category, item.favorite ? '★' : '', item.error || '有效'].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    cell.title = value;
+                    row.appendChild(cell);
+                });
+
+                body.appendChild(row);
+            });
+
+            table.appendChild(body);
+        },
+
+        /**
+         * 渲染导入预览
+         * @param {Object} preview - Store.previewImport 返回的预览
+         */
+        renderImportPreview(preview) {
+            const container = document.getElementById('importPreview');
+            if (!container) return;
+
+            const FIELD_LABELS = { title: '名称', desc: '描述', category: '分类', favorite: '收藏' };
+            const describeTool = (tool) => `${tool.title}（${tool.url}）`;
+            const describeChange = ({ local, incoming }) => {
+                const fields = Object.keys(FIELD_LABELS)
+                    .filter(key => incoming[key] !== undefined && (local[key] ?? '') !== (incoming[key] ?? ''))
+                    .map(key => FIELD_LABELS[key]);
+                return `${local.title}：${fields.join('、')}`;
+            };
+
+            const groups = [
+                { title: '新增', items: preview.added.map(describeTool) },
+                {
+                    title: preview.mode === 'add' ? '有变化（保留本地内容）' : '有变化（使用文件中的内容）',
+                    items: preview.changed.map(describeChange)
+                },
+                { title: '冲突', items: preview.conflicts.map(({ tool, reason }) => `${describeTool(tool)}：${reason}`) },
+                { title: '将移除', items: preview.removed.map(describeTool), danger: true },
+                { title: '新分类', items: preview.categories }
+            ];
+
+            container.innerHTML = '';
+
+            const summary = document.createElement('p');
+            summary.className = 'backup-meta';
+            summary.textContent = groups
+                .filter(group => group.items.length > 0)
+                .map(group => `${group.title} ${group.items.length}`)
+                .concat(preview.unchanged > 0 ? [`未变化 ${preview.unchanged}`] : [])
+                .join(' · ') || '没有需要导入的内容';
+            container.appendChild(summary);
+
+            groups.filter(group => group.items.length > 0).forEach(group => {
+                const details = document.createElement('details');
+                details.className = group.danger ? 'import-group danger' : 'import-group';
+
+                const title = document.createElement('summary');
+                title.textContent = `${group.title}（${group.items.length}）`;
+                details.appendChild(title);
+
+                const list = document.createElement('ul');
+                group.items.forEach(text => {
+                    const item = document.createElement('li');
+                    item.textContent = text;
+                    item.title = text;
+                    list.appendChild(item);
+                });
+                details.appendChild(list);
+
+                container.appendChild(details);
+            });
+        },
+
         /**
          * 显示确认对话框 (替代原生 confirm)
          * @param {string} message - 确认信息
+         * @param {string} okText - 确认按钮文字（默认为删除按钮）
          * @returns {Promise<boolean>}
          */
-        confirmDialog(message) {
+        confirmDialog(message, okText = '') {
             return new Promise((resolve) => {
                 const modal = document.getElementById('confirmModal');
                 const msgEl = document.getElementById('confirmMessage');
@@ -856,10 +1338,15 @@
                 }
 
                 msgEl.textContent = message;
+                const okHtml = okBtn.innerHTML;
+                if (okText) {
+                    okBtn.textContent = okText;
+                }
                 modal.classList.add('active');
 
                 const cleanup = () => {
                     modal.classList.remove('active');
+                    okBtn.innerHTML = okHtml;
                     okBtn.removeEventListener('click', onOk);
                     cancelBtn.removeEventListener('click', onCancel);
                     // 点击遮罩关闭也视为取消
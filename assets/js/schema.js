@@ -0,0 +1,276 @@
+/**
+ * Schema.js - 数据文档结构校验与版本迁移
+ * 前端（加载、导入数据）和 server.js（读取、写入数据）共用同一份结构定义和迁移列表
+ */
+
+((root, factory) => {
+    const Schema = factory();
+
+    // Node.js（server.js）通过 require 使用，浏览器中挂载到 window
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Schema;
+    } else {
+        root.Schema = Schema;
+    }
+})(typeof window !== 'undefined' ? window : globalThis, () => {
+    'use strict';
+
+    // 不允许作为工具链接的协议（可执行脚本）
+    const UNSAFE_PROTOCOLS = ['javascript:', 'data:', 'vbscript:'];
+
+    // 最多收集的错误条数，避免格式完全错误的文件产生过长的列表
+    const MAX_ERRORS = 50;
+
+    // 当前数据结构版本（新增迁移时加一）
+    const SCHEMA_VERSION = 2;
+
+    const TYPE_NAMES = {
+        string: '字符串',
+        number: '数字',
+        boolean: '布尔值',
+        object: '对象',
+        array: '数组'
+    };
+
+    // 工具结构定义
+    const TOOL_SCHEMA = {
+        type: 'object',
+        required: ['id', 'title', 'url'],
+        properties: {
+            id: { type: ['string', 'number'], minLength: 1 },
+            title: { type: 'string', minLength: 1 },
+            url: { type: 'string', format: 'url' },
+            category: { type: 'string' },
+            desc: { type: 'string' },
+            favorite: { type: 'boolean' },
+            order: { type: 'number' }
+        }
+    };
+
+    // 数据文档结构定义（未列出的字段不做限制，便于以后增加新字段）
+    const DATA_SCHEMA = {
+        type: 'object',
+        required: ['tools', 'categories'],
+        properties: {
+            settings: {
+                type: 'object',
+                properties: {
+                    backgroundImage: { type: 'string' },
+                    searchEngine: { type: 'string', enum: ['google', 'baidu', 'bing'] },
+                    collapsedCategories: { type: 'array', items: { type: 'string' } },
+                    adminPasswordHash: { type: 'string' },
+                    isInitialSetup: { type: 'boolean' },
+                    authSessionExpiry: { type: 'number' },
+                    trashRetentionDays: { type: 'number' }
+                }
+            },
+            categories: {
+                type: 'array',
+                unique: true,
+                items: { type: 'string', minLength: 1 }
+            },
+            tools: {
+                type: 'array',
+                uniqueBy: 'id',
+                items: TOOL_SCHEMA
+            },
+            // 回收站：type 为 tool 时保存 tool，为 category 时保存分类名、原位置和分类下的工具
+            trash: {
+                type: 'array',
+                uniqueBy: 'id',
+                items: {
+                    type: 'object',
+                    required: ['id', 'type', 'deletedAt'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        type: { type: 'string', enum: ['tool', 'category'] },
+                        deletedAt: { type: 'number' },
+                        tool: TOOL_SCHEMA,
+                        category: { type: 'string', minLength: 1 },
+                        index: { type: 'number' },
+                        tools: { type: 'array', items: TOOL_SCHEMA }
+                    }
+                }
+            },
+            theme: { type: 'string', enum: ['light', 'dark'] },
+            revision: { type: 'number' },
+            schemaVersion: { type: 'number' }
+        }
+    };
+
+    // 获取值的类型名称（区分数组和 null）
+    const typeOf = (value) => {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    };
+
+    // 拼接字段路径
+    const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+    /**
+     * 数据迁移列表（按版本顺序执行）
+     * 每一项把数据从 version - 1 升级到 version，只需处理该版本新增或变更的字段
+     * 没有 schemaVersion 字段的旧数据视为版本 0
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: '补全 collapsedCategories 设置和工具的 favorite / order 字段',
+            migrate(data) {
+                if (typeOf(data.settings) !== 'object') data.settings = {};
+                if (!Array.isArray(data.settings.collapsedCategories)) {
+                    data.settings.collapsedCategories = [];
+                }
+                if (Array.isArray(data.tools)) {
+                    data.tools = data.tools.map(tool => (typeOf(tool) === 'object'
+                        ? { favorite: false, order: 0, ...tool }
+                        : tool));
+                }
+            }
+        },
+        {
+            version: 2,
+            description: '添加回收站 trash',
+            migrate(data) {
+                if (!Array.isArray(data.trash)) data.trash = [];
+            }
+        }
+    ];
+
+    /**
+     * 是否为可以安全打开的 URL（可解析且不是脚本协议）
+     * @param {string} value - URL 字符串
+     * @returns {boolean}
+     */
+    const isSafeUrl = (value) => {
+        try {
+            return !UNSAFE_PROTOCOLS.includes(new URL(value).protocol);
+        } catch {
+            return false;
+        }
+    };
+
+    // 按结构定义递归校验，错误追加到 errors 中
+    const validateValue = (value, schema, path, errors) => {
+        if (errors.length >= MAX_ERRORS) return;
+
+        const label = path || '数据';
+        const types = [].concat(schema.type);
+        const actual = typeOf(value);
+
+        if (!types.includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+            errors.push(`${label}：应为${types.map(type => TYPE_NAMES[type]).join('或')}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${label}：取值必须是 ${schema.enum.join(' / ')} 之一`);
+        }
+
+        if (schema.minLength && String(value).trim().length < schema.minLength) {
+            errors.push(`${label}：不能为空`);
+        }
+
+        if (schema.format === 'url' && !isSafeUrl(value)) {
+            errors.push(`${label}：不是有效的 URL`);
+        }
+
+        if (actual === 'object') {
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined) {
+                    errors.push(`${joinPath(path, key)}：缺少必填字段`);
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                if (value[key] !== undefined) {
+                    validateValue(value[key], propSchema, joinPath(path, key), errors);
+                }
+            });
+        }
+
+        if (actual === 'array') {
+            value.forEach((item, index) => {
+                validateValue(item, schema.items, `${label}[${index}]`, errors);
+            });
+
+            // 检查重复项（unique 比较元素本身，uniqueBy 比较元素的某个字段）
+            if (schema.unique || schema.uniqueBy) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = schema.uniqueBy ? item && item[schema.uniqueBy] : item;
+                    if (key === undefined) return;
+
+                    if (seen.has(String(key))) {
+                        const field = schema.uniqueBy ? `.${schema.uniqueBy}` : '';
+                        errors.push(`${label}[${index}]${field}：与其他项重复（${key}）`);
+                    }
+                    seen.add(String(key));
+                });
+            }
+        }
+    };
+
+    const Schema = {
+        SCHEMA_VERSION,
+
+        DATA_SCHEMA,
+
+        isSafeUrl,
+
+        /**
+         * 获取数据的结构版本（没有版本号的旧数据为 0）
+         * @param {Object} data - 数据文档
+         * @returns {number}
+         */
+        getVersion(data) {
+            return Number(data && data.schemaVersion) || 0;
+        },
+
+        /**
+         * 将数据依次迁移到当前结构版本（直接修改传入的对象）
+         * 非对象数据原样返回，由 validateData 报告错误；
+         * 版本号高于当前版本的数据（来自更新的程序）不做修改
+         * @param {Object} data - 数据文档
+         * @returns {Object} - 迁移后的数据
+         */
+        migrate(data) {
+            if (typeOf(data) !== 'object') return data;
+
+            const version = this.getVersion(data);
+            if (version >= SCHEMA_VERSION) return data;
+
+            MIGRATIONS
+                .filter(migration => migration.version > version)
+                .forEach(migration => migration.migrate(data));
+
+            data.schemaVersion = SCHEMA_VERSION;
+            return data;
+        },
+
+        /**
+         * 校验数据文档
+         * @param {*} data - 要校验的数据
+         * @returns {string[]} - 错误列表（为空表示通过）
+         */
+        validateData(data) {
+            const errors = [];
+            validateValue(data, DATA_SCHEMA, '', errors);
+            return errors.slice(0, MAX_ERRORS);
+        },
+
+        /**
+         * 将错误列表格式化为一行提示
+         * @param {string[]} errors - 错误列表
+         * @param {number} limit - 最多显示的条数
+         * @returns {string}
+         */
+        formatErrors(errors, limit = 3) {
+            const shown = errors.slice(0, limit).join('；');
+            return errors.length > limit ? `${shown} 等 ${errors.length} 处错误` : shown;
+        }
+    };
+
+    return Schema;
+});
@@ -6,15 +6,20 @@
 ((window) => {
     'use strict';
 
+    // 回收站默认保留天数（与 server.js 一致）
+    const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
     // 默认数据
     const DEFAULT_DATA = {
+        schemaVersion: Schema.SCHEMA_VERSION,
         settings: {
             backgroundImage: "",
             searchEngine: "bing",
             collapsedCategories: [], // 存储已折叠的分类
-            adminPasswordHash: "", // 管理员密码的SHA-256哈希值
+            adminPasswordHash: "", // 管理员密码的 PBKDF2 哈希值（见 hashPassword）
             isInitialSetup: true, // 是否首次设置
-            authSessionExpiry: 0 // 会话过期时间戳
+            authSessionExpiry: 0, // 会话过期时间戳
+            trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS // 回收站保留天数（0 表示不自动清理）
         },
         categories: ["常用", "开发", "设计", "学习", "娱乐"],
         tools: [
@@ -24,6 +29,7 @@
             { id: "4", title: "Figma", url: "https://www.figma.com", category: "设计", desc: "在线界面设计工具", favorite: false, order: 3 },
             { id: "5", title: "MDN Web Docs", url: "https://developer.mozilla.org", category: "学习", desc: "Web 开发文档", favorite: false, order: 4 }
         ],
+        trash: [], // 回收站（已删除的工具和分类）
         theme: "light"
     };
 
@@ -34,11 +40,89 @@
         bing: { url: "https://www.bing.com/search?q=", icon: "fa-brands fa-microsoft", name: "Bing" }
     };
 
+    // 密码哈希参数（与 server.js 一致）
+    // 格式：pbkdf2-sha256$<迭代次数>$<盐(hex)>$<哈希(hex)>
+    const PASSWORD_HASH = {
+        algorithm: 'pbkdf2-sha256',
+        iterations: 600000,
+        saltBytes: 16,
+        keyBytes: 32
+    };
+
+    // 字节数组与十六进制字符串互转
+    const toHex = (bytes) => Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+    const fromHex = (hex) => new Uint8Array((hex.match(/../g) || []).map(h => parseInt(h, 16)));
+
+    // 仅保存在本设备的设置项（不同步到服务器）
+    const LOCAL_SETTINGS_KEYS = ['collapsedCategories', 'searchEngine', 'adminPasswordHash', 'isInitialSetup', 'authSessionExpiry'];
+
+    // 管理员密码等认证信息（导入时只有明确选择才覆盖本地的值）
+    const CREDENTIAL_SETTINGS_KEYS = ['adminPasswordHash', 'isInitialSetup', 'authSessionExpiry'];
+
+    // 导入模式：replace 替换全部工具和分类 | merge 合并，同一网址以导入的内容为准 | add 只添加本地没有的网址
+    const IMPORT_MODES = ['replace', 'merge', 'add'];
+
+    // 判断同一网址的工具内容是否有变化时比较的字段
+    const IMPORT_COMPARE_FIELDS = ['title', 'desc', 'category', 'favorite'];
+
+    // 导入文件中的字段是否与本地不同（文件中没有的字段视为不修改，例如书签没有收藏状态）
+    const isImportedFieldChanged = (incoming, local, field) => incoming[field] !== undefined
+        && (incoming[field] ?? '') !== (local[field] ?? '');
+
+    // 上次同步的版本号与数据（用于检测未同步的修改和三方合并）
+    const SYNC_BASE_KEY = 'myToolsSyncBase';
+
+    // 撤销历史最多保留的步数
+    const UNDO_LIMIT = 50;
+
+    // 实时更新连接断开后的重连间隔（毫秒，指数退避）
+    const EVENTS_RETRY = { min: 1000, max: 60000 };
+
+    // 同一浏览器的标签页共用一个实时更新连接：持有该名称 Web Lock 的标签页负责连接，
+    // 并通过同名 BroadcastChannel 把收到的版本号转发给其他标签页
+    const EVENTS_CHANNEL = 'myToolsEvents';
+
     // Store 对象
     const Store = {
         state: JSON.parse(JSON.stringify(DEFAULT_DATA)),
         listeners: [],
 
+        // 撤销 / 重做历史（{ label, snapshot }，最新的在末尾）
+        undoStack: [],
+        redoStack: [],
+
+        // 服务器同步状态：local（纯本地部署）| syncing | synced | pending | locked（未登录，未加载服务器数据）| offline | conflict | error
+        syncStatus: 'local',
+        syncListeners: [],
+        serverAvailable: false,
+        pushTimer: null,
+        pushing: false,
+        pushQueued: false,
+        syncConflict: null,
+        // 正在进行的 connect 请求
+        connecting: null,
+        // 服务器拒绝写入时返回的数据结构错误列表（status 为 error 时由界面提示）
+        syncErrors: null,
+
+        // 实时更新（SSE）连接
+        eventSource: null,
+        eventChannel: null,
+        eventRetryDelay: EVENTS_RETRY.min,
+        eventRetryTimer: null,
+        remoteRevision: 0,
+
+        // 服务器是否已设置管理员密码（由 /auth/check 返回）
+        serverInitialized: true,
+
+        // 服务器限制登录尝试的截止时间（由 Retry-After 计算）
+        loginBlockedUntil: 0,
+
+        // 待推送的破坏性操作（reset / import），服务器据此在写入前自动快照
+        pendingSnapshotReason: null,
+
+        // 是否处于批量修改中（见 batch）
+        batching: false,
+
         /**
          * 获取当前状态
          */
@@ -64,17 +148,36 @@
         updateTool(id, updates) {
             const idx = this.state.tools.findIndex(t => t.id === id);
             if (idx !== -1) {
+                this.recordUndo('修改工具');
                 this.state.tools[idx] = { ...this.state.tools[idx], ...updates };
                 this.save();
                 this.notify();
             }
         },
 
+        /**
+         * 批量修改：期间的多次修改只记录一步撤销，结束后保存并通知一次
+         * @param {string} label - 操作说明
+         * @param {Function} fn - 执行修改的函数
+         */
+        batch(label, fn) {
+            this.recordUndo(label);
+            this.batching = true;
+            try {
+                fn();
+            } finally {
+                this.batching = false;
+            }
+            this.save();
+            this.notify();
+        },
+
         /**
          * 添加新工具
          * @param {Object} tool - 工具对象
          */
         addTool(tool) {
+            this.recordUndo('添加工具');
             this.state.tools.push(tool);
             if (!this.state.categories.includes(tool.category)) {
                 this.state.categories.push(tool.category);
@@ -84,11 +187,16 @@
         },
 
         /**
-         * 删除工具
+         * 删除工具（移入回收站）
          * @param {string} id - 工具ID
          */
         deleteTool(id) {
+            const tool = this.state.tools.find(t => t.id === id);
+            if (!tool) return;
+
+            this.recordUndo('删除工具');
             this.state.tools = this.state.tools.filter(t => t.id !== id);
+            this.moveToTrash({ type: 'tool', tool });
             this.save();
             this.notify();
         },
@@ -100,6 +208,7 @@
         toggleFavorite(id) {
             const tool = this.state.tools.find(t => t.id === id);
             if (tool) {
+                this.recordUndo(tool.favorite ? '取消收藏' : '收藏');
                 tool.favorite = !tool.favorite;
                 this.save();
                 this.notify();
@@ -127,13 +236,17 @@
         },
 
         /**
-         * 删除分类
+         * 删除分类（分类和分类下的工具一起移入回收站）
          * @param {string} category - 分类名称
          */
         deleteCategory(category) {
             const idx = this.state.categories.indexOf(category);
             if (idx !== -1) {
+                this.recordUndo('删除分类');
+                const tools = this.state.tools.filter(t => t.category === category);
+                this.state.tools = this.state.tools.filter(t => t.category !== category);
                 this.state.categories.splice(idx, 1);
+                this.moveToTrash({ type: 'category', category, index: idx, tools });
                 this.save();
                 this.notify();
                 return true;
@@ -141,6 +254,96 @@
             return false;
         },
 
+        // ===== 回收站 =====
+
+        /**
+         * 添加回收站条目，并清理过期条目
+         * @param {Object} entry - { type: 'tool', tool } 或 { type: 'category', category, index, tools }
+         */
+        moveToTrash(entry) {
+            this.state.trash.push({ id: Utils.generateId(), deletedAt: Date.now(), ...entry });
+            this.purgeExpiredTrash();
+        },
+
+        /**
+         * 从回收站恢复（工具 ID 已被占用时使用新 ID，分类不存在时恢复到原位置）
+         * @param {string} id - 回收站条目 ID
+         * @returns {boolean} - 是否成功
+         */
+        restoreFromTrash(id) {
+            const entry = this.state.trash.find(item => item.id === id);
+            if (!entry) return false;
+
+            this.recordUndo('从回收站恢复');
+            this.state.trash = this.state.trash.filter(item => item !== entry);
+
+            const { categories, tools } = this.state;
+            if (entry.type === 'category' && !categories.includes(entry.category)) {
+                categories.splice(Math.min(entry.index, categories.length), 0, entry.category);
+            }
+
+            const restoredTools = entry.type === 'tool' ? [entry.tool] : entry.tools;
+            restoredTools.forEach(tool => {
+                const restored = tools.some(t => t.id === tool.id) ? { ...tool, id: Utils.generateId() } : tool;
+                tools.push(restored);
+                if (restored.category && !categories.includes(restored.category)) {
+                    categories.push(restored.category);
+                }
+            });
+
+            this.save();
+            this.notify();
+            return true;
+        },
+
+        /**
+         * 彻底删除回收站条目
+         * @param {string|null} id - 回收站条目 ID，为 null 时清空回收站
+         */
+        purgeTrash(id = null) {
+            if (this.state.trash.length === 0) return;
+
+            this.recordUndo(id ? '彻底删除' : '清空回收站');
+            this.state.trash = id ? this.state.trash.filter(item => item.id !== id) : [];
+            this.save();
+            this.notify();
+        },
+
+        /**
+         * 设置回收站保留天数，并立即清理过期条目
+         * @param {number} days - 保留天数（0 表示不自动清理）
+         */
+        setTrashRetentionDays(days) {
+            this.state.settings.trashRetentionDays = days;
+            this.purgeExpiredTrash();
+            this.save();
+            this.notify();
+        },
+
+        /**
+         * 清理过期的回收站条目并保存（没有过期条目时不保存）
+         */
+        cleanupTrash() {
+            if (this.purgeExpiredTrash() > 0) {
+                this.save();
+                this.notify();
+            }
+        },
+
+        /**
+         * 清理超过保留天数的回收站条目（不保存，由调用方保存）
+         * @returns {number} - 清理的条目数
+         */
+        purgeExpiredTrash() {
+            const days = this.state.settings.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+            if (!(days > 0)) return 0;
+
+            const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+            const before = this.state.trash.length;
+            this.state.trash = this.state.trash.filter(item => item.deletedAt > cutoff);
+            return before - this.state.trash.length;
+        },
+
         /**
          * 切换主题
          */
@@ -168,33 +371,28 @@
          * 保存到 localStorage
          */
         save() {
+            if (this.batching) return;
+
             try {
                 localStorage.setItem('myToolsData', JSON.stringify(this.state));
             } catch (e) {
                 console.error('Failed to save data:', e);
             }
+
+            // 服务器模式下，将修改排入同步队列
+            if (this.syncStatus !== 'local') {
+                this.queueSync();
+            }
         },
 
         /**
-         * 从 localStorage 加载
+         * 从 localStorage 加载（旧版本数据会迁移到当前结构版本）
          */
         load() {
             try {
                 const stored = localStorage.getItem('myToolsData');
                 if (stored) {
-                    const parsed = JSON.parse(stored);
-                    // 合并设置（迁移支持）
-                    if (!parsed.settings) parsed.settings = DEFAULT_DATA.settings;
-                    if (!parsed.settings.collapsedCategories) {
-                        parsed.settings.collapsedCategories = [];
-                    }
-                    // 为旧数据添加 favorite 字段
-                    parsed.tools = parsed.tools.map(t => ({
-                        favorite: false,
-                        order: 0,
-                        ...t
-                    }));
-                    this.state = parsed;
+                    this.state = Schema.migrate(JSON.parse(stored));
                 }
             } catch (e) {
                 console.error('Failed to load data:', e);
@@ -203,36 +401,282 @@
         },
 
         /**
-         * 导出数据
+         * 导出数据（默认不包含管理员密码哈希和会话信息）
+         * - full：完整备份（工具、分类、回收站、设置和主题），includeSecrets 为 true 时包含密码哈希
+         * - shareable：只包含工具和分类，可以分享给他人
+         * - categories：只包含选中的分类和分类下的工具
+         * @param {Object} options - { profile, categories, includeSecrets }
+         * @returns {string} - JSON 字符串
          */
-        exportData() {
-            return JSON.stringify(this.state, null, 2);
+        exportData(options = {}) {
+            const { profile = 'full', categories = [], includeSecrets = false } = options;
+            const state = JSON.parse(JSON.stringify(this.state));
+
+            if (profile === 'full') {
+                delete state.settings.authSessionExpiry;
+                if (!includeSecrets) {
+                    delete state.settings.adminPasswordHash;
+                    delete state.settings.isInitialSetup;
+                }
+                return JSON.stringify(state, null, 2);
+            }
+
+            const selected = profile === 'categories'
+                ? state.categories.filter(category => categories.includes(category))
+                : state.categories;
+            const tools = profile === 'categories'
+                ? state.tools.filter(tool => selected.includes(tool.category))
+                : state.tools;
+
+            return JSON.stringify({ schemaVersion: state.schemaVersion, categories: selected, tools }, null, 2);
+        },
+
+        /**
+         * 校验待导入的数据（旧版本备份会先迁移到当前结构版本，不修改当前状态）
+         * @param {Object} data - 导入的数据对象
+         * @returns {{success: boolean, errors: string[], data: Object}} - 校验结果和迁移后的数据
+         */
+        prepareImport(data) {
+            // 分享文件和按分类导出的文件可能只有工具和分类，缺少的部分使用空值
+            if (data && typeof data === 'object' && !Array.isArray(data)
+                && (Array.isArray(data.tools) || Array.isArray(data.categories))) {
+                if (data.tools === undefined) data.tools = [];
+                if (data.categories === undefined) {
+                    data.categories = [...new Set(data.tools.map(tool => tool && tool.category).filter(Boolean))];
+                }
+                if (data.trash === undefined) data.trash = [];
+            }
+
+            data = Schema.migrate(data);
+            const errors = Schema.validateData(data);
+            return { success: errors.length === 0, errors, data };
+        },
+
+        /**
+         * 计算导入预览（按规范化后的网址匹配本地工具）
+         * - added：本地没有的网址
+         * - changed：网址相同但内容不同（add 模式下保留本地内容）
+         * - conflicts：文件中重复的网址（跳过），或 ID 与本地其他工具相同（使用新 ID 添加）
+         * - removed：replace 模式下本地有而文件中没有的工具
+         * @param {Object} data - prepareImport 返回的数据
+         * @param {string} mode - 导入模式（见 IMPORT_MODES）
+         * @returns {Object} - { mode, added, changed, conflicts, removed, unchanged, categories }
+         */
+        previewImport(data, mode = 'merge') {
+            const { tools, categories } = this.state;
+            const localByUrl = new Map(tools.map(tool => [Utils.normalizeUrl(tool.url), tool]));
+            const localIds = new Set(tools.map(tool => String(tool.id)));
+            const seen = new Set();
+            const preview = { mode, added: [], changed: [], conflicts: [], removed: [], unchanged: 0, categories: [] };
+
+            data.tools.forEach(tool => {
+                const key = Utils.normalizeUrl(tool.url);
+                if (seen.has(key)) {
+                    preview.conflicts.push({ tool, reason: '文件中网址重复', skip: true });
+                    return;
+                }
+                seen.add(key);
+
+                const local = localByUrl.get(key);
+                if (!local) {
+                    if (mode !== 'replace' && localIds.has(String(tool.id))) {
+                        preview.conflicts.push({ tool, reason: 'ID 与本地其他工具相同，将使用新 ID', skip: false });
+                    } else {
+                        preview.added.push(tool);
+                    }
+                } else if (IMPORT_COMPARE_FIELDS.some(field => isImportedFieldChanged(tool, local, field))) {
+                    preview.changed.push({ local, incoming: tool });
+                } else {
+                    preview.unchanged++;
+                }
+            });
+
+            if (mode === 'replace') {
+                preview.removed = tools.filter(tool => !seen.has(Utils.normalizeUrl(tool.url)));
+            }
+
+            const importedCategories = [...data.categories, ...data.tools.map(tool => tool.category)];
+            preview.categories = [...new Set(importedCategories)]
+                .filter(category => category && !categories.includes(category));
+
+            return preview;
         },
 
         /**
          * 导入数据
+         * - replace：用文件中的工具和分类替换当前数据
+         * - merge：添加新工具，同一网址的工具以文件中的内容为准
+         * - add：只添加本地没有的网址
+         * 设置和管理员密码默认保留本地的值，只有明确选择时才导入
          * @param {Object} data - 导入的数据对象
-         * @returns {boolean} - 是否成功
+         * @param {Object} options - { mode, includeSettings, includeCredentials }
+         * @returns {{success: boolean, errors: string[], preview?: Object}} - 导入结果，失败时附带结构校验错误
          */
-        importData(data) {
-            if (data.tools && data.categories) {
-                this.state = data;
-                this.save();
-                this.notify();
-                return true;
+        importData(data, options = {}) {
+            const { mode = 'replace', includeSettings = false, includeCredentials = false } = options;
+            if (!IMPORT_MODES.includes(mode)) {
+                return { success: false, errors: [`未知的导入模式：${mode}`] };
             }
-            return false;
+
+            const prepared = this.prepareImport(data);
+            if (!prepared.success) {
+                return { success: false, errors: prepared.errors };
+            }
+            data = prepared.data;
+
+            const preview = this.previewImport(data, mode);
+            const skipped = new Set(preview.conflicts.filter(item => item.skip).map(item => item.tool));
+
+            this.recordUndo('导入数据');
+
+            if (mode === 'replace') {
+                this.state.tools = data.tools
+                    .filter(tool => !skipped.has(tool))
+                    .map(tool => ({ favorite: false, ...tool }));
+                this.state.categories = data.categories;
+            } else {
+                const { tools, categories } = this.state;
+
+                if (mode === 'merge') {
+                    preview.changed.forEach(({ local, incoming }) => {
+                        IMPORT_COMPARE_FIELDS.forEach(field => {
+                            if (isImportedFieldChanged(incoming, local, field)) local[field] = incoming[field];
+                        });
+                    });
+                }
+
+                const renamed = preview.conflicts.filter(item => !item.skip).map(item => ({ ...item.tool, id: Utils.generateId() }));
+                [...preview.added, ...renamed].forEach(tool => {
+                    tools.push({ favorite: false, ...tool, order: tools.length });
+                });
+                categories.push(...preview.categories);
+            }
+
+            // 回收站取并集，导入不会丢失本地已删除的条目
+            const trashIds = new Set(this.state.trash.map(item => item.id));
+            this.state.trash.push(...data.trash.filter(item => !trashIds.has(item.id)));
+
+            if (includeSettings) {
+                const settings = { ...data.settings };
+                CREDENTIAL_SETTINGS_KEYS.forEach(key => delete settings[key]);
+                this.state.settings = { ...this.state.settings, ...settings };
+                if (data.theme) this.state.theme = data.theme;
+            }
+
+            if (includeCredentials && data.settings && data.settings.adminPasswordHash) {
+                this.state.settings.adminPasswordHash = data.settings.adminPasswordHash;
+                this.state.settings.isInitialSetup = false;
+            }
+
+            this.purgeExpiredTrash();
+            this.pendingSnapshotReason = 'import';
+            this.save();
+            this.notify();
+            return { success: true, errors: [], preview };
         },
 
         /**
          * 重置为默认数据
          */
         reset() {
+            this.recordUndo('重置数据');
             this.state = JSON.parse(JSON.stringify(DEFAULT_DATA));
+            this.pendingSnapshotReason = 'reset';
             this.save();
             this.notify();
         },
 
+        // ===== 撤销 / 重做 =====
+
+        /**
+         * 创建可撤销的数据快照（工具、分类和共享设置，不含主题、折叠状态和认证信息）
+         * @returns {Object}
+         */
+        createSnapshot() {
+            const { tools, categories, settings, trash } = this.getSharedData();
+            return JSON.parse(JSON.stringify({ tools, categories, settings, trash }));
+        },
+
+        /**
+         * 记录修改前的状态（新的修改会清空重做历史）
+         * @param {string} label - 操作说明
+         */
+        recordUndo(label) {
+            if (this.batching) return;
+
+            this.undoStack.push({ id: Utils.generateId(), label, snapshot: this.createSnapshot() });
+            if (this.undoStack.length > UNDO_LIMIT) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+        },
+
+        /**
+         * 清空撤销 / 重做历史（数据被其他设备或标签页替换后，旧快照不再可靠）
+         */
+        clearUndoHistory() {
+            this.undoStack = [];
+            this.redoStack = [];
+        },
+
+        /**
+         * 恢复快照，保留本设备的设置
+         * @param {Object} snapshot - createSnapshot 创建的快照
+         */
+        restoreSnapshot(snapshot) {
+            const localSettings = {};
+            LOCAL_SETTINGS_KEYS.forEach(key => {
+                if (key in this.state.settings) {
+                    localSettings[key] = this.state.settings[key];
+                }
+            });
+
+            this.state.tools = snapshot.tools;
+            this.state.categories = snapshot.categories;
+            this.state.trash = snapshot.trash;
+            this.state.settings = { ...snapshot.settings, ...localSettings };
+            this.save();
+            this.notify();
+        },
+
+        /**
+         * 最近一条可撤销记录的 ID
+         * @returns {string|null}
+         */
+        getUndoTopId() {
+            const entry = this.undoStack[this.undoStack.length - 1];
+            return entry ? entry.id : null;
+        },
+
+        /**
+         * 撤销上一步修改
+         * @param {string} [id] - 只在最近一条记录是该 ID 时才撤销（提示中的"撤销"按钮使用）
+         * @returns {string|null} - 被撤销的操作说明，没有可撤销的操作时为 null
+         */
+        undo(id) {
+            if (id && this.getUndoTopId() !== id) return null;
+
+            const entry = this.undoStack.pop();
+            if (!entry) return null;
+
+            this.redoStack.push({ id: entry.id, label: entry.label, snapshot: this.createSnapshot() });
+            this.restoreSnapshot(entry.snapshot);
+            return entry.label;
+        },
+
+        /**
+         * 重做上一步被撤销的修改
+         * @returns {string|null} - 被重做的操作说明，没有可重做的操作时为 null
+         */
+        redo() {
+            const entry = this.redoStack.pop();
+            if (!entry) return null;
+
+            this.undoStack.push({ id: entry.id, label: entry.label, snapshot: this.createSnapshot() });
+            this.restoreSnapshot(entry.snapshot);
+            return entry.label;
+        },
+
         /**
          * 订阅状态变化
          * @param {Function} listener - 监听器函数
@@ -253,6 +697,7 @@
          * 通知所有监听器
          */
         notify() {
+            if (this.batching) return;
             this.listeners.forEach(fn => fn(this.state));
         },
 
@@ -265,16 +710,77 @@
         },
 
         /**
-         * 使用 SHA-256 对密码进行哈希
+         * 使用 PBKDF2 计算密码派生密钥
          * @param {string} password - 明文密码
-         * @returns {Promise<string>} - 哈希后的密码（十六进制字符串）
+         * @param {Uint8Array} salt - 盐
+         * @param {number} iterations - 迭代次数
+         * @returns {Promise<string>} - 派生密钥（十六进制字符串）
+         */
+        async deriveKey(password, salt, iterations) {
+            const key = await crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+            );
+            const bits = await crypto.subtle.deriveBits(
+                { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+                key,
+                PASSWORD_HASH.keyBytes * 8
+            );
+            return toHex(bits);
+        },
+
+        /**
+         * 使用 PBKDF2 和随机盐对密码进行哈希
+         * @param {string} password - 明文密码
+         * @returns {Promise<string>} - 带算法和参数的哈希字符串
          */
         async hashPassword(password) {
-            const encoder = new TextEncoder();
-            const data = encoder.encode(password + 'newtools.cloud_salt');
-            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+            const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH.saltBytes));
+            const hash = await this.deriveKey(password, salt, PASSWORD_HASH.iterations);
+            return [PASSWORD_HASH.algorithm, PASSWORD_HASH.iterations, toHex(salt), hash].join('$');
+        },
+
+        /**
+         * 验证密码是否与存储的哈希匹配
+         * 兼容旧版 sha256(password + 固定盐) 格式
+         * @param {string} password - 明文密码
+         * @param {string} storedHash - 存储的哈希
+         * @returns {Promise<boolean>} - 是否匹配
+         */
+        async verifyPassword(password, storedHash) {
+            if (typeof storedHash !== 'string' || !storedHash) return false;
+
+            if (storedHash.includes('$')) {
+                const [algorithm, iterations, salt, hash] = storedHash.split('$');
+                if (algorithm !== PASSWORD_HASH.algorithm || !salt || !hash) return false;
+                return await this.deriveKey(password, fromHex(salt), Number(iterations)) === hash;
+            }
+
+            const legacy = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password + 'newtools.cloud_salt'));
+            return toHex(legacy) === storedHash;
+        },
+
+        /**
+         * 存储的哈希是否需要升级为当前格式和参数
+         * @param {string} storedHash - 存储的哈希
+         * @returns {boolean}
+         */
+        needsRehash(storedHash) {
+            const [algorithm, iterations] = String(storedHash).split('$');
+            return algorithm !== PASSWORD_HASH.algorithm || Number(iterations) !== PASSWORD_HASH.iterations;
+        },
+
+        /**
+         * 服务器登录成功后更新本地密码哈希（用于离线时验证）
+         * 本地尚无哈希、哈希为旧格式或与服务器密码不一致时重新计算
+         * @param {string} password - 已由服务器验证的明文密码
+         */
+        async updateLocalPasswordHash(password) {
+            const storedHash = this.state.settings.adminPasswordHash;
+            if (storedHash && !this.needsRehash(storedHash) && await this.verifyPassword(password, storedHash)) {
+                return;
+            }
+            this.state.settings.adminPasswordHash = await this.hashPassword(password);
+            this.state.settings.isInitialSetup = false;
         },
 
         /**
@@ -283,8 +789,41 @@
          * @returns {Promise<boolean>} - 是否验证成功
          */
         async authenticateAdmin(password) {
-            const hash = await this.hashPassword(password);
-            if (hash === this.state.settings.adminPasswordHash) {
+            // 服务器模式下由服务器验证密码并创建会话
+            if (this.serverAvailable) {
+                if (this.getLoginRetryAfter() > 0) return false;
+
+                let expiresIn = 0;
+                try {
+                    ({ expiresIn } = await Api.post('/auth/login', { password }));
+                } catch (e) {
+                    if (e.payload && e.payload.retryAfter) {
+                        this.loginBlockedUntil = Date.now() + e.payload.retryAfter * 1000;
+                    }
+                    if (e.status !== 0) return false;
+                    // 服务器不可达，退回本地验证
+                    this.serverAvailable = false;
+                    this.setSyncStatus('offline');
+                }
+
+                if (this.serverAvailable) {
+                    await this.updateLocalPasswordHash(password);
+                    // 会话有效期以服务器配置为准
+                    this.state.settings.authSessionExpiry = Date.now() + (expiresIn || 30 * 60 * 1000);
+                    this.saveLocal();
+                    this.notify();
+                    // 推送登录前积压的修改，没有修改时加载服务器数据
+                    this.syncWithServer();
+                    return true;
+                }
+            }
+
+            const storedHash = this.state.settings.adminPasswordHash;
+            if (await this.verifyPassword(password, storedHash)) {
+                // 旧格式的哈希在登录成功后升级
+                if (this.needsRehash(storedHash)) {
+                    this.state.settings.adminPasswordHash = await this.hashPassword(password);
+                }
                 // 设置30分钟会话
                 this.state.settings.authSessionExpiry = Date.now() + (30 * 60 * 1000);
                 this.save();
@@ -294,22 +833,80 @@
             return false;
         },
 
+        /**
+         * 是否需要首次设置管理员密码
+         * 服务器模式下以服务器是否已初始化为准，否则以本地是否有密码哈希为准
+         * @returns {boolean}
+         */
+        needsInitialSetup() {
+            return this.serverAvailable
+                ? !this.serverInitialized
+                : !this.state.settings.adminPasswordHash;
+        },
+
+        /**
+         * 获取服务器限制登录的剩余秒数
+         * @returns {number} - 0 表示可以尝试登录
+         */
+        getLoginRetryAfter() {
+            return Math.max(0, Math.ceil((this.loginBlockedUntil - Date.now()) / 1000));
+        },
+
         /**
          * 设置初始密码
+         * 服务器模式下需要提供服务器启动时在控制台输出的初始化令牌
          * @param {string} password - 明文密码
-         * @returns {Promise<boolean>} - 是否设置成功
+         * @param {string} setupToken - 服务器初始化令牌
+         * @returns {Promise<{success: boolean, error?: string}>}
          */
-        async setInitialPassword(password) {
-            if (!this.state.settings.isInitialSetup) {
-                return false;
+        async setInitialPassword(password, setupToken = '') {
+            if (!this.needsInitialSetup()) {
+                return { success: false, error: '管理员密码已设置' };
+            }
+
+            let expiresIn = 0;
+            if (this.serverAvailable) {
+                try {
+                    ({ expiresIn } = await Api.post('/init', { password, setupToken }));
+                } catch (e) {
+                    return { success: false, error: e.message };
+                }
+                this.serverInitialized = true;
             }
+
             const hash = await this.hashPassword(password);
             this.state.settings.adminPasswordHash = hash;
             this.state.settings.isInitialSetup = false;
-            this.state.settings.authSessionExpiry = Date.now() + (30 * 60 * 1000);
+            this.state.settings.authSessionExpiry = Date.now() + (expiresIn || 30 * 60 * 1000);
             this.save();
             this.notify();
-            return true;
+            if (this.serverAvailable) {
+                this.syncWithServer();
+            }
+            return { success: true };
+        },
+
+        /**
+         * 修改管理员密码
+         * 服务器模式下由服务器验证并使其他会话失效，同时更新本地哈希用于离线验证
+         * @param {string} currentPassword - 当前密码
+         * @param {string} newPassword - 新密码
+         * @returns {Promise<{success: boolean, error?: string}>}
+         */
+        async changePassword(currentPassword, newPassword) {
+            if (this.serverAvailable) {
+                try {
+                    await Api.post('/auth/password', { currentPassword, newPassword });
+                } catch (e) {
+                    return { success: false, error: e.message };
+                }
+            } else if (!(await this.verifyPassword(currentPassword, this.state.settings.adminPasswordHash))) {
+                return { success: false, error: '当前密码错误' };
+            }
+
+            this.state.settings.adminPasswordHash = await this.hashPassword(newPassword);
+            this.save();
+            return { success: true };
         },
 
         /**
@@ -325,6 +922,13 @@
          * 清除认证会话
          */
         clearAuthSession() {
+            if (this.serverAvailable) {
+                Api.post('/auth/logout')
+                    .catch(() => {})
+                    .finally(() => {
+                        Api.csrfToken = null;
+                    });
+            }
             this.state.settings.authSessionExpiry = 0;
             this.save();
             this.notify();
@@ -332,39 +936,577 @@
 
         /**
          * 初始化 Store
-         * 检查 localStorage 并更新 isInitialSetup 状态
+         * 根据是否已有密码哈希更新 isInitialSetup 状态
+         * 没有密码时不再设置默认密码，而是由 Events.checkInitialSetup 强制显示设置密码模态框
          */
         async initialize() {
+            this.state.settings.isInitialSetup = !this.state.settings.adminPasswordHash;
+            this.listenForOtherTabs();
+        },
+
+        /**
+         * 同步同一浏览器中其他标签页的修改
+         * storage 事件只在其他标签页触发：直接采用对方保存的状态，不再保存和推送，避免互相覆盖
+         */
+        listenForOtherTabs() {
+            window.addEventListener('storage', (e) => {
+                if (e.key === SYNC_BASE_KEY) {
+                    // 其他标签页已完成推送
+                    if (this.syncStatus === 'pending' && !this.hasPendingChanges()) {
+                        this.setSyncStatus('synced');
+                    }
+                    return;
+                }
+                if (e.key !== 'myToolsData' || !e.newValue) return;
+
+                let state;
+                try {
+                    state = Schema.migrate(JSON.parse(e.newValue));
+                } catch (err) {
+                    console.error('Failed to sync data from another tab:', err);
+                    return;
+                }
+
+                const wasAdmin = this.checkAdminPermission();
+                // 只是主题、折叠状态或登录状态变化时保留撤销历史；
+                // 快照中的内容（工具、分类、回收站和共享设置）被改过时，撤销会覆盖其他标签页的修改，因此清空
+                const before = this.createSnapshot();
+                this.state = state;
+                const after = this.createSnapshot();
+                const dataChanged = Object.keys(before).some(key =>
+                    JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+                if (dataChanged) {
+                    this.clearUndoHistory();
+                }
+                this.notify();
+
+                // 登录状态在其他标签页发生变化：登录后需要获取本标签页使用的 CSRF 令牌
+                const isAdmin = this.checkAdminPermission();
+                if (!wasAdmin && isAdmin && this.serverAvailable) {
+                    Api.get('/auth/check').catch(() => {});
+                } else if (wasAdmin && !isAdmin && window.Api) {
+                    Api.csrfToken = null;
+                }
+            });
+        },
+
+        // ===== 服务器同步 =====
+
+        /**
+         * 启动服务器同步
+         * 服务器不可达时继续使用 localStorage，网络恢复后自动重连
+         */
+        startSync() {
+            window.addEventListener('online', () => this.connect());
+            return this.connect();
+        },
+
+        /**
+         * 连接服务器并同步数据（正在连接时返回同一个 Promise，不会重复请求）
+         * @returns {Promise<void>}
+         */
+        connect() {
+            if (!this.connecting) {
+                this.connecting = this.connectToServer().finally(() => {
+                    this.connecting = null;
+                });
+            }
+            return this.connecting;
+        },
+
+        /**
+         * 检查服务器是否可用并同步数据
+         * 有未同步的本地修改且已登录时推送，否则拉取服务器数据
+         */
+        async connectToServer() {
+            if (!window.Api) return;
+
+            this.setSyncStatus('syncing');
+
             try {
-                const stored = localStorage.getItem('myToolsData');
-                let needsSave = false;
+                await Api.get('/health');
+            } catch (e) {
+                this.serverAvailable = false;
+                // 无法连接视为离线；有响应但不是 API（纯静态部署）视为本地模式
+                this.setSyncStatus(e.status === 0 ? 'offline' : 'local');
+                return;
+            }
 
-                if (stored) {
-                    const parsed = JSON.parse(stored);
-                    // 如果已存在 adminPasswordHash，则不是首次设置
-                    if (parsed.settings && parsed.settings.adminPasswordHash) {
-                        this.state.settings.isInitialSetup = false;
-                    } else {
-                        // 如果不存在密码哈希，设置默认密码
-                        const defaultPassword = 'admin';
-                        this.state.settings.adminPasswordHash = await this.hashPassword(defaultPassword);
-                        this.state.settings.isInitialSetup = false;
-                        needsSave = true;
+            this.serverAvailable = true;
+            this.listenForChanges();
+
+            try {
+                // 本地会话以服务器会话为准
+                const { authenticated, initialized } = await Api.get('/auth/check');
+                this.serverInitialized = initialized !== false;
+                if (!authenticated && this.checkAdminPermission()) {
+                    this.state.settings.authSessionExpiry = 0;
+                    this.saveLocal();
+                    this.notify();
+                }
+
+                await this.syncWithServer();
+            } catch (e) {
+                this.handleSyncError(e);
+            }
+        },
+
+        /**
+         * 有未同步的本地修改时推送，否则拉取服务器数据
+         * @returns {Promise<boolean>} - 是否成功
+         */
+        syncWithServer() {
+            return this.hasPendingChanges() ? this.push() : this.pull();
+        },
+
+        /**
+         * 订阅服务器的数据变更推送（/api/events）
+         * 浏览器支持 Web Locks 和 BroadcastChannel 时，同一浏览器只有一个标签页保持连接，
+         * 其他标签页接收转发的版本号，并在该标签页关闭后接替连接
+         */
+        listenForChanges() {
+            if (!window.EventSource || this.eventChannel) return;
+
+            if (!navigator.locks || !window.BroadcastChannel) {
+                this.openEventSource();
+                return;
+            }
+
+            this.eventChannel = new BroadcastChannel(EVENTS_CHANNEL);
+            this.eventChannel.addEventListener('message', (e) => {
+                this.handleRemoteRevision(e.data.revision);
+            });
+
+            // 锁在标签页关闭时自动释放
+            navigator.locks.request(EVENTS_CHANNEL, () => {
+                this.openEventSource();
+                return new Promise(() => {});
+            });
+        },
+
+        /**
+         * 打开 /api/events 连接
+         * 连接断开时关闭浏览器的自动重连，改为指数退避重连
+         */
+        openEventSource() {
+            if (this.eventSource || this.eventRetryTimer) return;
+
+            const source = new EventSource(`${Api.baseUrl}/events`);
+            this.eventSource = source;
+
+            source.addEventListener('open', () => {
+                this.eventRetryDelay = EVENTS_RETRY.min;
+                // 服务器重启等情况下同步请求失败后被标记为离线，推送连接恢复时重新连接，推送离线期间的修改
+                if (!this.serverAvailable) {
+                    this.connect();
+                }
+            });
+
+            source.addEventListener('revision', (e) => {
+                try {
+                    const { revision } = JSON.parse(e.data);
+                    if (this.eventChannel) {
+                        this.eventChannel.postMessage({ revision });
                     }
+                    this.handleRemoteRevision(revision);
+                } catch (err) {
+                    console.error('Invalid revision event:', err);
+                }
+            });
+
+            source.addEventListener('error', () => {
+                source.close();
+                this.eventSource = null;
+                this.eventRetryTimer = setTimeout(() => {
+                    this.eventRetryTimer = null;
+                    this.openEventSource();
+                }, this.eventRetryDelay);
+                this.eventRetryDelay = Math.min(this.eventRetryDelay * 2, EVENTS_RETRY.max);
+            });
+        },
+
+        /**
+         * 处理服务器推送的新版本号
+         * 没有本地修改时拉取并应用服务器数据；有本地修改时推送，由版本检查决定是否产生冲突
+         * @param {number} revision - 服务器数据版本号
+         */
+        handleRemoteRevision(revision) {
+            this.remoteRevision = Math.max(this.remoteRevision, revision);
+
+            // 推送连接未断开但同步请求失败过（已标记为离线）：重新连接，由 connect 推送或拉取
+            if (!this.serverAvailable) {
+                this.connect();
+                return;
+            }
+
+            const base = this.getSyncBase();
+            // 已是最新版本（包括本设备刚推送的修改）或正在等待用户解决冲突
+            if ((base && base.revision >= revision) || this.syncConflict) return;
+
+            // 推送中：推送完成后会重新检查（见 push）
+            if (this.pushing) return;
+
+            if (this.hasPendingChanges()) {
+                this.queueSync();
+            } else {
+                this.pull();
+            }
+        },
+
+        /**
+         * 从服务器拉取数据（需要管理员会话，未登录时继续使用本地数据）
+         * @returns {Promise<boolean>} - 是否成功
+         */
+        async pull() {
+            if (!this.checkAdminPermission()) {
+                this.setSyncStatus(this.hasPendingChanges() ? 'pending' : 'locked');
+                return false;
+            }
+
+            this.setSyncStatus('syncing');
+            try {
+                const { data, revision, stored } = await Api.get('/data');
+
+                // 服务器尚无数据且本设备从未同步过：保留本地数据并等待上传
+                if (!stored && this.getSyncBase() === null) {
+                    this.markSynced(null, revision);
+                    return this.push();
+                }
+
+                this.applyRemoteData(data, revision);
+                this.setSyncStatus('synced');
+                return true;
+            } catch (e) {
+                this.handleSyncError(e);
+                return false;
+            }
+        },
+
+        /**
+         * 推送本地数据到服务器（需要管理员会话）
+         * 携带上次同步的版本号，服务器数据已被修改时返回冲突
+         * @returns {Promise<boolean>} - 是否成功
+         */
+        async push() {
+            clearTimeout(this.pushTimer);
+            this.pushTimer = null;
+
+            if (!this.serverAvailable || this.syncConflict) return false;
+            if (!this.checkAdminPermission()) {
+                this.setSyncStatus('pending');
+                return false;
+            }
+
+            // 同一时间只允许一个推送请求，避免用旧版本号覆盖自己刚写入的数据
+            if (this.pushing) {
+                this.pushQueued = true;
+                return false;
+            }
+
+            this.pushing = true;
+            this.setSyncStatus('syncing');
+            try {
+                const data = this.getSharedData();
+                const base = this.getSyncBase();
+                const reason = this.pendingSnapshotReason;
+                const result = await Api.post('/data', {
+                    data,
+                    revision: base ? base.revision : 0,
+                    ...(reason && { reason })
+                });
+                if (this.pendingSnapshotReason === reason) {
+                    this.pendingSnapshotReason = null;
+                }
+                this.markSynced(data, result.revision);
+                this.setSyncStatus(this.hasPendingChanges() ? 'pending' : 'synced');
+                return true;
+            } catch (e) {
+                this.handleSyncError(e);
+                return false;
+            } finally {
+                this.pushing = false;
+                if (this.pushQueued) {
+                    this.pushQueued = false;
+                    this.queueSync();
                 } else {
-                    // 首次使用，设置默认密码
-                    const defaultPassword = 'admin';
-                    this.state.settings.adminPasswordHash = await this.hashPassword(defaultPassword);
-                    this.state.settings.isInitialSetup = false;
-                    needsSave = true;
+                    // 推送期间收到的其他客户端的修改
+                    this.handleRemoteRevision(this.remoteRevision);
                 }
+            }
+        },
+
+        /**
+         * 记录待同步的修改，并延迟推送（合并短时间内的多次修改）
+         */
+        queueSync() {
+            if (!this.hasPendingChanges() || this.syncConflict) return;
 
-                if (needsSave) {
-                    this.save();
+            if (!this.serverAvailable) {
+                if (this.syncStatus !== 'syncing') {
+                    this.setSyncStatus('offline');
                 }
+                return;
+            }
+
+            this.setSyncStatus('pending');
+            clearTimeout(this.pushTimer);
+            this.pushTimer = setTimeout(() => this.push(), 800);
+        },
+
+        /**
+         * 处理同步错误
+         * @param {Error} error - 错误对象
+         */
+        handleSyncError(error) {
+            this.syncErrors = null;
+
+            if (error.status === 0) {
+                this.serverAvailable = false;
+                this.setSyncStatus('offline');
+            } else if (error.status === 401) {
+                // 服务器会话已失效，需要重新登录
+                this.state.settings.authSessionExpiry = 0;
+                this.saveLocal();
+                this.notify();
+                this.setSyncStatus('pending');
+            } else if (error.status === 409 && error.payload) {
+                // 服务器数据已被其他客户端修改，等待用户选择合并或重新加载
+                this.syncConflict = {
+                    data: error.payload.data,
+                    revision: error.payload.revision
+                };
+                this.setSyncStatus('conflict');
+            } else if (error.status === 400 && error.payload && error.payload.errors) {
+                // 服务器拒绝了不符合数据结构的写入，修正数据之前后续修改都无法同步
+                console.error('Server rejected invalid data:', error.payload.errors);
+                this.syncErrors = error.payload.errors;
+                this.setSyncStatus('error');
+            } else {
+                console.error('Failed to sync data:', error);
+                this.setSyncStatus('error');
+            }
+        },
+
+        /**
+         * 解决同步冲突
+         * @param {string} strategy - merge（合并本地与服务器的修改）| reload（放弃本地修改）
+         * @returns {Promise<boolean>} - 是否成功
+         */
+        async resolveConflict(strategy) {
+            const conflict = this.syncConflict;
+            if (!conflict) return false;
+
+            this.syncConflict = null;
+
+            if (strategy === 'reload') {
+                this.applyRemoteData(conflict.data, conflict.revision);
+                this.setSyncStatus('synced');
+                return true;
+            }
+
+            const base = this.getSyncBase();
+            const merged = this.mergeData(
+                base && base.data ? base.data : {},
+                this.getSharedData(),
+                conflict.data
+            );
+
+            // 以服务器版本为新的同步基准，合并结果作为待推送的本地修改
+            this.markSynced(conflict.data, conflict.revision);
+            this.state = this.withLocalSettings(Schema.migrate(merged));
+            this.save();
+            this.notify();
+            return this.push();
+        },
+
+        /**
+         * 三方合并共享数据
+         * 工具按 id 逐字段合并，双方都修改的字段以本地为准；
+         * 一方删除、另一方修改时保留修改后的版本
+         * @param {Object} base - 上次同步时的数据
+         * @param {Object} local - 本地数据
+         * @param {Object} remote - 服务器数据
+         * @returns {Object} - 合并后的数据
+         */
+        mergeData(base, local, remote) {
+            const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+            const pick = (b, l, r) => (same(l, b) ? r : l);
+
+            // 工具和回收站条目：按 id 逐项、逐字段合并
+            const byId = (list) => new Map((list || []).map(t => [t.id, t]));
+            const mergeList = (key) => {
+                const baseItems = byId(base[key]);
+                const localItems = byId(local[key]);
+                const remoteItems = byId(remote[key]);
+
+                const mergeItem = (id) => {
+                    const b = baseItems.get(id);
+                    const l = localItems.get(id);
+                    const r = remoteItems.get(id);
+
+                    if (!b) return l || r;
+                    if (!l) return same(r, b) ? null : r;
+                    if (!r) return same(l, b) ? null : l;
+
+                    const fields = new Set([...Object.keys(l), ...Object.keys(r)]);
+                    const item = {};
+                    fields.forEach(field => {
+                        const value = pick(b[field], l[field], r[field]);
+                        if (value !== undefined) item[field] = value;
+                    });
+                    return item;
+                };
+
+                const ids = [...new Set([...remoteItems.keys(), ...localItems.keys()])];
+                return ids.map(mergeItem).filter(Boolean);
+            };
+
+            const tools = mergeList('tools');
+            const trash = mergeList('trash');
+
+            // 分类：以服务器顺序为准，去掉本地删除的，追加本地新增的
+            const baseCategories = base.categories || [];
+            const localCategories = local.categories || [];
+            const categories = (remote.categories || [])
+                .filter(c => !(baseCategories.includes(c) && !localCategories.includes(c)));
+            localCategories.forEach(c => {
+                if (!categories.includes(c) && !baseCategories.includes(c)) {
+                    categories.push(c);
+                }
+            });
+
+            // 设置：逐项合并
+            const baseSettings = base.settings || {};
+            const localSettings = local.settings || {};
+            const remoteSettings = remote.settings || {};
+            const settings = {};
+            new Set([...Object.keys(localSettings), ...Object.keys(remoteSettings)]).forEach(key => {
+                settings[key] = pick(baseSettings[key], localSettings[key], remoteSettings[key]);
+            });
+
+            // 其他字段：整体合并
+            const merged = {};
+            new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+                merged[key] = pick(base[key], local[key], remote[key]);
+            });
+
+            return { ...merged, tools, categories, settings, trash };
+        },
+
+        /**
+         * 应用服务器数据，保留仅属于本设备的设置
+         * @param {Object} data - 服务器返回的数据
+         * @param {number} revision - 服务器数据版本号
+         */
+        applyRemoteData(data, revision) {
+            const state = this.withLocalSettings(Schema.migrate(data));
+            // 先记录同步基准，setState 保存时不会把服务器数据当作本地修改再推送回去
+            // （按合并后的字段顺序记录，hasPendingChanges 比较序列化结果）
+            this.markSynced(this.getSharedData({ ...this.state, ...state }), revision);
+            this.clearUndoHistory();
+            this.setState(state);
+        },
+
+        /**
+         * 将本设备的设置（主题、折叠状态、认证信息等）合并到数据中
+         * @param {Object} data - 共享数据
+         * @returns {Object} - 完整的状态对象
+         */
+        withLocalSettings(data) {
+            const local = this.state;
+
+            LOCAL_SETTINGS_KEYS.forEach(key => {
+                if (key in local.settings) {
+                    data.settings[key] = local.settings[key];
+                }
+            });
+            data.theme = local.theme;
+
+            return data;
+        },
+
+        /**
+         * 获取需要同步到服务器的数据（不含主题、折叠状态和认证信息）
+         * @param {Object} state - 状态对象（默认为当前状态）
+         * @returns {Object} - 共享数据
+         */
+        getSharedData(state = this.state) {
+            const { theme, ...shared } = state;
+            const settings = { ...shared.settings };
+            LOCAL_SETTINGS_KEYS.forEach(key => delete settings[key]);
+            return { ...shared, settings };
+        },
+
+        /**
+         * 获取上次同步的基准（版本号与数据）
+         * @returns {Object|null} - { revision, data }，从未同步过时为 null
+         */
+        getSyncBase() {
+            try {
+                return JSON.parse(localStorage.getItem(SYNC_BASE_KEY));
+            } catch {
+                return null;
+            }
+        },
+
+        /**
+         * 检查是否有未同步到服务器的修改
+         * @returns {boolean}
+         */
+        hasPendingChanges() {
+            const base = this.getSyncBase();
+            // 从未同步过的设备以服务器数据为准
+            if (base === null) return false;
+            return JSON.stringify(base.data) !== JSON.stringify(this.getSharedData());
+        },
+
+        /**
+         * 记录同步基准
+         * @param {Object|null} data - 已同步的共享数据
+         * @param {number} revision - 对应的服务器版本号
+         */
+        markSynced(data, revision) {
+            try {
+                localStorage.setItem(SYNC_BASE_KEY, JSON.stringify({ revision, data }));
             } catch (e) {
-                console.error('Failed to initialize admin password:', e);
+                console.error('Failed to save sync state:', e);
             }
+        },
+
+        /**
+         * 仅保存到 localStorage（不触发同步）
+         */
+        saveLocal() {
+            try {
+                localStorage.setItem('myToolsData', JSON.stringify(this.state));
+            } catch (e) {
+                console.error('Failed to save data:', e);
+            }
+        },
+
+        /**
+         * 更新同步状态
+         * @param {string} status - 同步状态
+         */
+        setSyncStatus(status) {
+            if (this.syncStatus === status) return;
+            this.syncStatus = status;
+            this.syncListeners.forEach(fn => fn(status));
+        },
+
+        /**
+         * 订阅同步状态变化
+         * @param {Function} listener - 监听器函数
+         * @returns {Function} - 取消订阅函数
+         */
+        subscribeSync(listener) {
+            this.syncListeners.push(listener);
+            return () => {
+                const idx = this.syncListeners.indexOf(listener);
+                if (idx !== -1) {
+                    this.syncListeners.splice(idx, 1);
+                }
+            };
         }
 
     };
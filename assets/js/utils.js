@@ -33,6 +33,41 @@
             }
         },
 
+        /**
+         * 规范化 URL，用于判断两个链接是否指向同一页面
+         * 忽略 http / https 的区别、主机名大小写、www. 前缀、末尾斜杠和 # 锚点
+         * @param {string} url - URL 字符串
+         * @returns {string} - 规范化后的字符串（无法解析时返回去除空白的小写原文）
+         */
+        normalizeUrl(url) {
+            try {
+                const parsed = new URL(url);
+                const scheme = ['http:', 'https:'].includes(parsed.protocol) ? '' : parsed.protocol;
+                const host = parsed.host.toLowerCase().replace(/^www\./, '');
+                const path = parsed.pathname.replace(/\/+$/, '');
+                return `${scheme}${host}${path}${parsed.search}`;
+            } catch {
+                return String(url).trim().toLowerCase();
+            }
+        },
+
+        /**
+         * 密码强度校验（与 server.js 一致）
+         * 至少8位，且包含字母、数字、符号中的至少两种
+         * @param {string} password - 要校验的密码
+         * @returns {string} - 错误提示，通过时返回空字符串
+         */
+        validatePasswordStrength(password) {
+            if (typeof password !== 'string' || password.length < 8) {
+                return '密码长度至少为8位';
+            }
+            const kinds = [/[a-zA-Z]/, /\d/, /[^a-zA-Z\d]/].filter(re => re.test(password)).length;
+            if (kinds < 2) {
+                return '密码需包含字母、数字、符号中的至少两种';
+            }
+            return '';
+        },
+
         /**
          * 防抖函数
          * @param {Function} fn - 要防抖的函数
@@ -109,6 +144,20 @@
             URL.revokeObjectURL(url);
         },
 
+        /**
+         * 读取文本文件
+         * @param {File} file - 文件对象
+         * @returns {Promise<string>} - 文件内容
+         */
+        readTextFile(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (event) => resolve(event.target.result);
+                reader.onerror = () => reject(new Error('文件读取失败'));
+                reader.readAsText(file);
+            });
+        },
+
         /**
          * 读取并解析 JSON 文件
          * @param {File} file - 文件对象
@@ -139,6 +188,28 @@
             return date.toISOString().slice(0, 10);
         },
 
+        /**
+         * 格式化日期时间（本地时间）
+         * @param {Date|string|number} date - 日期
+         * @returns {string} - 格式如 2024-01-01 08:30
+         */
+        formatDateTime(date) {
+            const d = new Date(date);
+            const pad = n => String(n).padStart(2, '0');
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+        },
+
+        /**
+         * 格式化文件大小
+         * @param {number} bytes - 字节数
+         * @returns {string} - 格式化后的大小
+         */
+        formatFileSize(bytes) {
+            if (bytes < 1024) return `${bytes} B`;
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        },
+
         /**
          * 检测是否为移动设备
          * @returns {boolean} - 是否为移动设备
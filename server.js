@@ -8,258 +8,1863 @@ const session = require('express-session');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const Schema = require('./assets/js/schema');
+
+// ===== 配置 =====
+// 优先级：环境变量 > 配置文件（默认为项目根目录的 config.json，可用 CONFIG_FILE 指定）> 默认值
+
+const CONFIG_FILE = path.resolve(__dirname, process.env.CONFIG_FILE || 'config.json');
+
+const DEFAULT_CONFIG = {
+    port: 3002,
+    dataDir: 'data',
+    backupDir: 'backups',
+    // 为空时首次启动自动生成并保存到数据目录
+    sessionSecret: '',
+    sessionMaxAgeMinutes: 30,
+    // 允许跨域访问 API 的来源，为空时只允许同源访问
+    corsOrigins: [],
+    // 部署在反向代理之后时设置（如 1），以便按真实客户端 IP 限制登录尝试
+    trustProxy: false,
+    // 自动备份（间隔为 0 时关闭定时备份）
+    // 保留策略：最近 N 份 + 最近若干天每天一份 + 最近若干周每周一份，手动备份不受影响
+    backup: {
+        intervalMinutes: 60,
+        keepLast: 10,
+        keepDaily: 7,
+        keepWeekly: 4
+    },
+    // 实时更新（/api/events）连接数上限，每个 IP 的上限为 0 时不按 IP 限制
+    // 同一浏览器的多个标签页共用一个连接；多人通过同一 NAT 或代理出口访问时需要调大
+    events: {
+        maxClients: 200,
+        maxClientsPerIp: 50
+    }
+};
+
+// 解析 trust proxy 设置：true / 代理层数 / IP 或子网列表
+const parseTrustProxy = (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// 环境变量 -> [配置项路径, 解析函数]
+const ENV_OVERRIDES = {
+    PORT: ['port', Number],
+    DATA_DIR: ['dataDir', String],
+    BACKUP_DIR: ['backupDir', String],
+    SESSION_SECRET: ['sessionSecret', String],
+    SESSION_MAX_AGE_MINUTES: ['sessionMaxAgeMinutes', Number],
+    CORS_ORIGINS: ['corsOrigins', value => value.split(',').map(origin => origin.trim()).filter(Boolean)],
+    TRUST_PROXY: ['trustProxy', parseTrustProxy],
+    BACKUP_INTERVAL_MINUTES: ['backup.intervalMinutes', Number],
+    BACKUP_KEEP_LAST: ['backup.keepLast', Number],
+    BACKUP_KEEP_DAILY: ['backup.keepDaily', Number],
+    BACKUP_KEEP_WEEKLY: ['backup.keepWeekly', Number],
+    EVENTS_MAX_CLIENTS: ['events.maxClients', Number],
+    EVENTS_MAX_CLIENTS_PER_IP: ['events.maxClientsPerIp', Number]
+};
+
+// 读取配置（配置文件格式错误时直接退出，避免使用意外的默认值运行）
+const loadConfig = () => {
+    let fileConfig = {};
+    try {
+        fileConfig = JSON.parse(fsSync.readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ 无法读取配置文件 ${CONFIG_FILE}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...fileConfig,
+        backup: { ...DEFAULT_CONFIG.backup, ...fileConfig.backup },
+        events: { ...DEFAULT_CONFIG.events, ...fileConfig.events }
+    };
+
+    Object.entries(ENV_OVERRIDES).forEach(([name, [key, parse]]) => {
+        const value = process.env[name];
+        if (value === undefined || value === '') return;
+
+        const keys = key.split('.');
+        const target = keys.length > 1 ? config[keys[0]] : config;
+        target[keys[keys.length - 1]] = parse(value);
+    });
+
+    config.dataDir = path.resolve(__dirname, config.dataDir);
+    config.backupDir = path.resolve(__dirname, config.backupDir);
+    return config;
+};
+
+const config = loadConfig();
+
+// 读取会话密钥：未配置时首次启动生成随机密钥并保存到数据目录，重启后已有会话仍然有效
+const loadSessionSecret = () => {
+    if (config.sessionSecret) return config.sessionSecret;
+
+    const secretFile = path.join(config.dataDir, '.session-secret');
+    try {
+        const secret = fsSync.readFileSync(secretFile, 'utf-8').trim();
+        if (secret) return secret;
+    } catch {
+        // 密钥文件不存在，生成新的密钥
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fsSync.mkdirSync(config.dataDir, { recursive: true });
+    fsSync.writeFileSync(secretFile, secret, { encoding: 'utf-8', mode: 0o600 });
+    return secret;
+};
 
 const app = express();
-const PORT = process.env.PORT || 3002;
-const DATA_FILE = path.join(__dirname, 'data', 'mytools-data.json');
+const PORT = config.port;
+const DATA_DIR = config.dataDir;
+const DATA_FILE = path.join(DATA_DIR, 'mytools-data.json');
+const BACKUP_DIR = config.backupDir;
+const SESSION_DIR = path.join(DATA_DIR, 'sessions');
+const LOGIN_LOG_FILE = path.join(DATA_DIR, 'login-failures.log');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const SESSION_MAX_AGE = config.sessionMaxAgeMinutes * 60 * 1000;
+const AUTO_BACKUP = config.backup;
+
+// 自动备份文件名前缀：定时备份为 auto-，破坏性写入前的快照为 pre-<操作>-
+const AUTO_BACKUP_PATTERN = /^(auto|pre-[a-z]+)-/;
+
+// 会在写入前自动快照的破坏性操作（由客户端在 POST /api/data 中声明）
+const SNAPSHOT_REASONS = ['reset', 'import'];
+
+// 按真实客户端 IP 限制登录尝试（反向代理部署时需要）
+app.set('trust proxy', config.trustProxy);
 
-// 中间件配置
+// 中间件配置（只对白名单中的来源返回 CORS 头）
 app.use(cors({
-    origin: true,
+    origin: config.corsOrigins,
     credentials: true
 }));
 app.use(bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '5mb' }));
 
-// 静态文件服务
-app.use(express.static(__dirname));
+// 安全响应头
+// CSP 允许的外部来源：Google Fonts、jsDelivr（Font Awesome）以及任意 HTTPS 图片（网站图标、自定义背景）
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdn.jsdelivr.net",
+    "font-src 'self' data: https://fonts.gstatic.com https://cdn.jsdelivr.net",
+    "img-src 'self' data: https:",
+    "connect-src 'self'",
+    "manifest-src 'self'",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+app.disable('x-powered-by');
+app.use((req, res, next) => {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'X-Frame-Options': 'DENY'
+    });
+    next();
+});
+
+// 静态文件服务：只公开前端页面需要的文件，数据、备份、配置和服务器源码均不可访问
+const PUBLIC_FILES = ['index.html', 'manifest.json', 'sw.js', 'logo.svg'];
+const PUBLIC_DIRS = ['assets'];
+
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+PUBLIC_FILES.forEach((file) => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
+PUBLIC_DIRS.forEach((dir) => {
+    app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+});
+
+// ===== 文件写入 =====
+
+// 原子写入：先写入同目录下的临时文件并 fsync，再重命名覆盖目标文件
+// 写入中途崩溃时目标文件仍是完整的旧内容，不会留下被截断的文件
+const writeFileAtomic = async (file, content, mode = 0o644) => {
+    const tempFile = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+        const handle = await fs.open(tempFile, 'w', mode);
+        try {
+            await handle.writeFile(content, 'utf-8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+
+    // 同步所在目录，确保重命名本身也已落盘（部分平台不支持打开目录，忽略错误）
+    try {
+        const dir = await fs.open(path.dirname(file), 'r');
+        try {
+            await dir.sync();
+        } finally {
+            await dir.close();
+        }
+    } catch {
+        // 忽略
+    }
+};
+
+// 每个文件的操作队列：同一文件的读-改-写依次执行，避免并发请求交错写入
+const fileQueues = new Map();
+
+const withFileLock = (file, task) => {
+    const previous = fileQueues.get(file) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+
+    fileQueues.set(file, tail);
+    tail.then(() => {
+        if (fileQueues.get(file) === tail) {
+            fileQueues.delete(file);
+        }
+    });
+    return current;
+};
+
+// 基于文件的 Session 存储，每个会话一个文件，服务器重启后会话仍然有效
+class FileSessionStore extends session.Store {
+    constructor(dir) {
+        super();
+        this.dir = dir;
+    }
+
+    // 文件名使用会话 ID 的哈希，避免特殊字符
+    filePath(sid) {
+        const name = crypto.createHash('sha256').update(sid).digest('hex');
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    get(sid, callback) {
+        fs.readFile(this.filePath(sid), 'utf-8')
+            .then((content) => {
+                const { expires, session: sess } = JSON.parse(content);
+                if (expires <= Date.now()) {
+                    return this.destroy(sid, () => callback(null, null));
+                }
+                callback(null, sess);
+            })
+            .catch((error) => {
+                // 文件不存在或已损坏都视为没有会话
+                callback(error.code && error.code !== 'ENOENT' ? error : null, null);
+            });
+    }
+
+    set(sid, sess, callback = () => {}) {
+        const expires = sess.cookie && sess.cookie.expires
+            ? new Date(sess.cookie.expires).getTime()
+            : Date.now() + SESSION_MAX_AGE;
+
+        fs.mkdir(this.dir, { recursive: true })
+            .then(() => writeFileAtomic(this.filePath(sid), JSON.stringify({ expires, session: sess }), 0o600))
+            .then(() => callback(null), callback);
+    }
+
+    touch(sid, sess, callback) {
+        this.set(sid, sess, callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        fs.unlink(this.filePath(sid))
+            .then(() => callback(null))
+            .catch(error => callback(error.code === 'ENOENT' ? null : error));
+    }
+
+    // 删除过期或损坏的会话文件
+    async prune() {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch {
+            return;
+        }
+
+        await Promise.all(files.filter(f => f.endsWith('.json')).map(async (filename) => {
+            const file = path.join(this.dir, filename);
+            try {
+                const { expires } = JSON.parse(await fs.readFile(file, 'utf-8'));
+                if (expires > Date.now()) return;
+            } catch {
+                // 无法解析的文件同样删除
+            }
+            await fs.unlink(file).catch(() => {});
+        }));
+    }
+}
+
+const sessionStore = new FileSessionStore(SESSION_DIR);
 
 // Session 配置
 app.use(session({
-    secret: 'newtools-cloud-session-secret-2024',
+    secret: loadSessionSecret(),
+    store: sessionStore,
     resave: false,
     saveUninitialized: false,
     cookie: {
         secure: false, // 如果使用 HTTPS，设置为 true
         httpOnly: true,
-        maxAge: 30 * 60 * 1000 // 30分钟
+        // 跨站请求不携带会话 Cookie（配合 CSRF 令牌防御跨站请求伪造）
+        sameSite: 'strict',
+        maxAge: SESSION_MAX_AGE
     },
     name: 'newtools.sid'
 }));
 
-// 确保数据目录存在
-const ensureDataDir = async () => {
-    const dataDir = path.join(__dirname, 'data');
+// 确保数据目录存在
+const ensureDataDir = async () => {
+    try {
+        await fs.access(DATA_DIR);
+    } catch {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+    }
+};
+
+// ===== 密码哈希 =====
+// 格式：pbkdf2-sha256$<迭代次数>$<盐(hex)>$<哈希(hex)>，与前端 Store.hashPassword 一致
+// 旧格式为 sha256(password + 固定盐) 的 64 位十六进制字符串，登录成功后自动升级
+
+const PASSWORD_HASH = {
+    algorithm: 'pbkdf2-sha256',
+    iterations: 600000,
+    saltBytes: 16,
+    keyBytes: 32
+};
+
+const pbkdf2 = (password, salt, iterations) => new Promise((resolve, reject) => {
+    crypto.pbkdf2(password, salt, iterations, PASSWORD_HASH.keyBytes, 'sha256', (error, key) => {
+        if (error) reject(error);
+        else resolve(key);
+    });
+});
+
+// 计算密码哈希（每次生成新的随机盐）
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(PASSWORD_HASH.saltBytes);
+    const key = await pbkdf2(password, salt, PASSWORD_HASH.iterations);
+    return [PASSWORD_HASH.algorithm, PASSWORD_HASH.iterations, salt.toString('hex'), key.toString('hex')].join('$');
+};
+
+// 验证密码是否与存储的哈希匹配（兼容旧格式）
+const verifyPassword = async (password, storedHash) => {
+    if (typeof storedHash !== 'string' || !storedHash) return false;
+
+    let expected;
+    let actual;
+    if (storedHash.includes('$')) {
+        const [algorithm, iterations, salt, hash] = storedHash.split('$');
+        if (algorithm !== PASSWORD_HASH.algorithm || !salt || !hash) return false;
+        expected = Buffer.from(hash, 'hex');
+        actual = await pbkdf2(password, Buffer.from(salt, 'hex'), Number(iterations));
+    } else {
+        expected = Buffer.from(storedHash, 'hex');
+        actual = crypto.createHash('sha256').update(password + 'newtools.cloud_salt').digest();
+    }
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// 存储的哈希是否需要升级为当前格式和参数
+const needsRehash = (storedHash) => {
+    const [algorithm, iterations] = String(storedHash).split('$');
+    return algorithm !== PASSWORD_HASH.algorithm || Number(iterations) !== PASSWORD_HASH.iterations;
+};
+
+// 校验密码强度，返回错误提示（通过时返回空字符串），与前端 Utils.validatePasswordStrength 一致
+const validatePasswordStrength = (password) => {
+    if (typeof password !== 'string' || password.length < 8) {
+        return '密码长度至少为8位';
+    }
+    const kinds = [/[a-zA-Z]/, /\d/, /[^a-zA-Z\d]/].filter(re => re.test(password)).length;
+    if (kinds < 2) {
+        return '密码需包含字母、数字、符号中的至少两种';
+    }
+    return '';
+};
+
+// 只由服务器维护、不允许客户端通过 /api/data 或恢复备份覆盖的设置项
+const SERVER_SETTINGS_KEYS = ['adminPasswordHash', 'isInitialSetup', 'passwordChangedAt'];
+
+// 从设置中取出服务器端字段
+const pickServerSettings = (settings = {}) => Object.fromEntries(
+    SERVER_SETTINGS_KEYS.filter(key => key in settings).map(key => [key, settings[key]])
+);
+
+// 更新服务器端设置项（密码哈希等）
+// 这些字段不属于同步给客户端的数据，因此不增加版本号，避免其他客户端产生冲突
+const updateServerSettings = (changes) => withFileLock(DATA_FILE, async () => {
+    const data = await readDataFile();
+    Object.assign(data.settings, changes);
+    await writeDataFile(data);
+});
+
+// 最近一次修改密码的时间，早于该时间登录的会话全部失效（启动时从数据文件读取）
+let passwordChangedAt = 0;
+
+// 一次性初始化令牌：未设置管理员密码时在启动时生成并输出到控制台，初始化成功后作废
+let setupToken = null;
+
+// 校验初始化令牌（定长比较，避免时序攻击）
+const verifySetupToken = (token) => {
+    if (!setupToken || typeof token !== 'string') return false;
+    const expected = Buffer.from(setupToken);
+    const actual = Buffer.from(token.trim());
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// ===== 登录限流 =====
+// 每个 IP 连续失败超过 freeAttempts 次后按指数退避，达到 lockoutAttempts 次后锁定一段时间
+// 所有 IP 在 globalWindow 内的失败总数达到 globalMaxFailures 时暂停全部登录（防止分布式猜测）
+
+const LOGIN_LIMIT = {
+    freeAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 5 * 60 * 1000,
+    lockoutAttempts: 10,
+    lockoutDuration: 15 * 60 * 1000,
+    resetAfter: 60 * 60 * 1000,
+    globalWindow: 15 * 60 * 1000,
+    globalMaxFailures: 50
+};
+
+// 失败日志超过该大小时轮转为 .old 文件
+const LOGIN_LOG_MAX_SIZE = 1024 * 1024;
+
+// IP -> { count, lastFailure, blockedUntil }
+const loginFailures = new Map();
+// 全局失败时间戳（globalWindow 内）
+let globalLoginFailures = [];
+
+// 获取该 IP 还需等待的毫秒数，0 表示允许尝试
+const getLoginRetryAfter = (ip) => {
+    const now = Date.now();
+    let wait = 0;
+
+    globalLoginFailures = globalLoginFailures.filter(time => now - time < LOGIN_LIMIT.globalWindow);
+    if (globalLoginFailures.length >= LOGIN_LIMIT.globalMaxFailures) {
+        wait = globalLoginFailures[0] + LOGIN_LIMIT.globalWindow - now;
+    }
+
+    const entry = loginFailures.get(ip);
+    if (entry) {
+        wait = Math.max(wait, entry.blockedUntil - now);
+    }
+    return Math.max(wait, 0);
+};
+
+// 追加一条登录失败日志（JSON Lines）
+const appendLoginLog = async (entry) => {
+    await ensureDataDir();
+    try {
+        const stats = await fs.stat(LOGIN_LOG_FILE);
+        if (stats.size > LOGIN_LOG_MAX_SIZE) {
+            await fs.rename(LOGIN_LOG_FILE, `${LOGIN_LOG_FILE}.old`);
+        }
+    } catch {
+        // 日志文件尚不存在
+    }
+    await fs.appendFile(LOGIN_LOG_FILE, JSON.stringify(entry) + '\n', 'utf-8');
+};
+
+// 记录登录失败（reason: wrong_password | blocked），返回之后需要等待的毫秒数
+const recordLoginFailure = (req, reason) => {
+    const now = Date.now();
+    const ip = req.ip;
+
+    appendLoginLog({
+        time: new Date(now).toISOString(),
+        ip,
+        reason,
+        userAgent: req.get('User-Agent') || ''
+    }).catch(error => console.error('写入登录失败日志失败:', error));
+
+    // 被拦截的请求只记录日志，不增加计数
+    if (reason === 'blocked') {
+        return getLoginRetryAfter(ip);
+    }
+
+    // 清理长时间没有失败的 IP
+    loginFailures.forEach((entry, key) => {
+        if (now - entry.lastFailure > LOGIN_LIMIT.resetAfter) {
+            loginFailures.delete(key);
+        }
+    });
+
+    const entry = loginFailures.get(ip) || { count: 0, lastFailure: 0, blockedUntil: 0 };
+    entry.count++;
+    entry.lastFailure = now;
+
+    if (entry.count >= LOGIN_LIMIT.lockoutAttempts) {
+        entry.blockedUntil = now + LOGIN_LIMIT.lockoutDuration;
+    } else if (entry.count > LOGIN_LIMIT.freeAttempts) {
+        const delay = LOGIN_LIMIT.baseDelay * 2 ** (entry.count - LOGIN_LIMIT.freeAttempts - 1);
+        entry.blockedUntil = now + Math.min(delay, LOGIN_LIMIT.maxDelay);
+    }
+
+    loginFailures.set(ip, entry);
+    globalLoginFailures.push(now);
+    return getLoginRetryAfter(ip);
+};
+
+// 设置 Retry-After 头，返回需要等待的秒数
+const setRetryAfter = (res, retryAfter) => {
+    const seconds = Math.ceil(retryAfter / 1000);
+    res.set('Retry-After', String(seconds));
+    return seconds;
+};
+
+// 登录限流中间件：处于退避或锁定期间直接返回 429
+const loginRateLimit = (req, res, next) => {
+    const retryAfter = getLoginRetryAfter(req.ip);
+    if (retryAfter <= 0) {
+        return next();
+    }
+
+    recordLoginFailure(req, 'blocked');
+    const seconds = setRetryAfter(res, retryAfter);
+    res.status(429).json({
+        success: false,
+        error: `尝试次数过多，请 ${seconds} 秒后重试`,
+        retryAfter: seconds
+    });
+};
+
+// 验证管理员权限的中间件
+const authenticateAdmin = async (req, res, next) => {
+    const { password } = req.body;
+
+    if (!password) {
+        return res.status(401).json({
+            success: false,
+            error: '需要提供密码'
+        });
+    }
+
+    // 读取当前数据以获取密码哈希
+    try {
+        const data = await readDataFile();
+        const storedHash = data.settings?.adminPasswordHash;
+
+        if (await verifyPassword(String(password), storedHash)) {
+            // 旧格式的哈希在登录成功后升级
+            if (needsRehash(storedHash)) {
+                await updateServerSettings({ adminPasswordHash: await hashPassword(String(password)) });
+            }
+
+            loginFailures.delete(req.ip);
+            startAdminSession(req);
+            next();
+        } else {
+            const retryAfter = recordLoginFailure(req, 'wrong_password');
+            if (retryAfter > 0) {
+                const seconds = setRetryAfter(res, retryAfter);
+                return res.status(401).json({
+                    success: false,
+                    error: `密码错误，请 ${seconds} 秒后重试`,
+                    retryAfter: seconds
+                });
+            }
+            res.status(401).json({
+                success: false,
+                error: '密码错误'
+            });
+        }
+    } catch (error) {
+        sendError(res, error, '服务器错误');
+    }
+};
+
+// 建立管理员会话，并签发新的 CSRF 令牌
+const startAdminSession = (req) => {
+    req.session.isAdmin = true;
+    req.session.authTime = Date.now();
+    req.session.authExpiry = Date.now() + SESSION_MAX_AGE;
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+};
+
+// 会话是否有效（已登录、未过期、且登录时间晚于最近一次修改密码）
+const isSessionValid = (req) => Boolean(
+    req.session.isAdmin &&
+    req.session.authExpiry > Date.now() &&
+    (req.session.authTime || 0) >= passwordChangedAt
+);
+
+// 验证 Session 的中间件
+const requireSession = (req, res, next) => {
+    if (isSessionValid(req)) {
+        next();
+    } else {
+        res.status(401).json({
+            success: false,
+            error: '未授权或会话已过期'
+        });
+    }
+};
+
+// 读取数据文件（旧版本数据会迁移到当前结构版本，下次写入时保存）
+// 文件无法解析时抛出 DataFileCorruptError，不会用默认数据掩盖损坏
+const readDataFile = async () => {
+    let content;
+    try {
+        content = await fs.readFile(DATA_FILE, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+
+        // 如果文件不存在，返回默认数据
+        return {
+            schemaVersion: Schema.SCHEMA_VERSION,
+            settings: {
+                backgroundImage: "",
+                searchEngine: "bing",
+                collapsedCategories: [],
+                adminPasswordHash: "",
+                isInitialSetup: true,
+                authSessionExpiry: 0,
+                trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
+            },
+            categories: ["常用", "开发", "设计", "学习", "娱乐"],
+            tools: [
+                { id: "1", title: "GitHub", url: "https://github.com", category: "开发", desc: "代码托管平台", favorite: false, order: 0 },
+                { id: "2", title: "ChatGPT", url: "https://chat.openai.com", category: "常用", desc: "AI 助手", favorite: false, order: 1 },
+                { id: "3", title: "Bilibili", url: "https://www.bilibili.com", category: "娱乐", desc: "弹幕视频网站", favorite: false, order: 2 },
+                { id: "4", title: "Figma", url: "https://www.figma.com", category: "设计", desc: "在线界面设计工具", favorite: false, order: 3 },
+                { id: "5", title: "MDN Web Docs", url: "https://developer.mozilla.org", category: "学习", desc: "Web 开发文档", favorite: false, order: 4 }
+            ],
+            trash: [],
+            theme: "light"
+        };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new DataFileCorruptError(error);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new DataFileCorruptError(new Error('数据文件内容不是对象'));
+    }
+    return Schema.migrate(data);
+};
+
+// 写入数据文件（原子写入；调用方需通过 withFileLock(DATA_FILE) 串行化读-改-写）
+const writeDataFile = async (data) => {
+    await ensureDataDir();
+    await writeFileAtomic(DATA_FILE, JSON.stringify(data, null, 2));
+};
+
+// 将损坏的数据文件改名保留（便于手动检查），返回新文件名
+const quarantineDataFile = async () => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const target = `${DATA_FILE}.corrupt-${timestamp}`;
+    await fs.rename(DATA_FILE, target);
+    return path.basename(target);
+};
+
+// 检查数据文件是否已存在
+const dataFileExists = async () => {
+    try {
+        await fs.access(DATA_FILE);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// 去除敏感字段（密码哈希、会话信息）和版本号后返回给客户端
+// 回收站只返回给已登录的请求（与 GET /api/trash 一致）
+const sanitizeData = (data, req) => {
+    const { revision, trash, ...rest } = data;
+    const { adminPasswordHash, authSessionExpiry, passwordChangedAt, ...settings } = data.settings || {};
+    return isSessionValid(req) ? { ...rest, trash, settings } : { ...rest, settings };
+};
+
+// 获取数据版本号（旧数据文件没有版本号，视为 0）
+const getRevision = (data) => Number(data.revision) || 0;
+
+// 带 HTTP 状态码的错误（extra 中的字段会一并返回给客户端）
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+// 数据文件已损坏（无法解析），需要从备份恢复
+class DataFileCorruptError extends HttpError {
+    constructor(cause) {
+        super(500, '数据文件已损坏，请从服务器备份恢复', { corrupted: true });
+        this.cause = cause;
+    }
+}
+
+// 发送错误响应（非 HttpError 统一返回 500 和默认提示）
+const sendError = (res, error, fallbackMessage) => {
+    if (error instanceof HttpError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.extra
+        });
+    }
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage
+    });
+};
+
+// 按共享的数据结构定义校验，不通过时抛出带错误列表的 HttpError
+const assertValidData = (data, message = '数据格式无效') => {
+    const errors = Schema.validateData(data);
+    if (errors.length > 0) {
+        throw new HttpError(400, message, { errors });
+    }
+};
+
+// ===== 实时更新（Server-Sent Events） =====
+// 数据版本号变化时向已连接的客户端推送 revision 事件，客户端收到后自行拉取数据
+
+// 已连接的 SSE 客户端（响应对象）
+const eventClients = new Set();
+
+// 最大连接数，超出时返回 503，客户端会稍后重连
+const EVENTS_MAX_CLIENTS = config.events.maxClients;
+
+// 每个 IP 的最大连接数（与登录限流相同按 req.ip 计数），避免单个来源占满所有连接
+const EVENTS_MAX_CLIENTS_PER_IP = config.events.maxClientsPerIp;
+
+// 各 IP 当前的连接数
+const eventClientsPerIp = new Map();
+
+// 心跳间隔，避免代理因连接空闲而断开
+const EVENTS_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// 发送一条 SSE 事件
+const sendEvent = (res, event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// 通知所有客户端数据已更新到新版本
+const broadcastRevision = (revision) => {
+    eventClients.forEach(res => sendEvent(res, 'revision', { revision }, revision));
+};
+
+// ===== 修改历史 =====
+// 每次修改数据后，把工具、分类和设置的变化逐条追加到 history.jsonl（只追加，不改写已有记录）
+
+// 不记录历史的设置项：服务器端字段和仅保存在各设备本地的设置（与前端 LOCAL_SETTINGS_KEYS 对应）
+const HISTORY_IGNORED_SETTINGS = [...SERVER_SETTINGS_KEYS, 'authSessionExpiry', 'collapsedCategories', 'searchEngine'];
+
+// 两个对象中取值不同的字段
+const changedKeys = (before = {}, after = {}) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+// 比较工具列表：增删改各一条记录，只有 order 变化（拖动排序）的工具合并为一条 toolOrder 记录
+const diffTools = (before = [], after = []) => {
+    const changes = [];
+    const beforeMap = new Map(before.map(tool => [String(tool.id), tool]));
+    const afterMap = new Map(after.map(tool => [String(tool.id), tool]));
+    const orderBefore = {};
+    const orderAfter = {};
+
+    beforeMap.forEach((tool, id) => {
+        if (!afterMap.has(id)) {
+            changes.push({ type: 'tool', action: 'delete', target: tool.id, label: tool.title, before: tool, after: null });
+        }
+    });
+
+    afterMap.forEach((tool, id) => {
+        const old = beforeMap.get(id);
+        if (!old) {
+            changes.push({ type: 'tool', action: 'add', target: tool.id, label: tool.title, before: null, after: tool });
+            return;
+        }
+
+        const keys = changedKeys(old, tool);
+        if (keys.length === 1 && keys[0] === 'order') {
+            orderBefore[id] = old.order;
+            orderAfter[id] = tool.order;
+        } else if (keys.length > 0) {
+            changes.push({ type: 'tool', action: 'update', target: tool.id, label: tool.title, before: old, after: tool });
+        }
+    });
+
+    if (Object.keys(orderBefore).length > 0) {
+        changes.push({ type: 'toolOrder', action: 'reorder', target: null, label: null, before: orderBefore, after: orderAfter });
+    }
+    return changes;
+};
+
+// 比较分类列表：增删各一条记录，保留的分类顺序变化时记录一条 categoryOrder
+const diffCategories = (before = [], after = []) => {
+    const changes = [];
+
+    before.forEach((name, index) => {
+        if (!after.includes(name)) {
+            changes.push({ type: 'category', action: 'delete', target: name, label: name, before: { name, index }, after: null });
+        }
+    });
+    after.forEach((name, index) => {
+        if (!before.includes(name)) {
+            changes.push({ type: 'category', action: 'add', target: name, label: name, before: null, after: { name, index } });
+        }
+    });
+
+    const keptBefore = before.filter(name => after.includes(name));
+    const keptAfter = after.filter(name => before.includes(name));
+    if (keptBefore.join('\n') !== keptAfter.join('\n')) {
+        changes.push({ type: 'categoryOrder', action: 'reorder', target: null, label: null, before, after });
+    }
+    return changes;
+};
+
+// 比较设置：每个变化的设置项一条记录
+const diffSettings = (before = {}, after = {}) => changedKeys(before, after)
+    .filter(key => !HISTORY_IGNORED_SETTINGS.includes(key))
+    .map(key => ({ type: 'settings', action: 'update', target: key, label: key, before: before[key], after: after[key] }));
+
+// 比较修改前后的数据，返回变化列表
+const diffData = (before, after) => [
+    ...diffTools(before.tools, after.tools),
+    ...diffCategories(before.categories, after.categories),
+    ...diffSettings(before.settings, after.settings)
+];
+
+// 记录本次修改的变化（session 只保存会话 ID 的哈希前缀，用于区分不同的登录会话）
+// 写入历史失败不影响数据保存
+const recordHistory = async (before, after, context) => {
+    const changes = diffData(before, after);
+    if (changes.length === 0) return;
+
+    const { req, revertOf } = context;
+    const meta = {
+        time: new Date().toISOString(),
+        revision: after.revision,
+        session: req && req.sessionID
+            ? crypto.createHash('sha256').update(req.sessionID).digest('hex').slice(0, 8)
+            : null,
+        ip: req ? req.ip : null,
+        ...(revertOf && { revertOf })
+    };
+
+    const lines = changes.map(change => JSON.stringify({ id: generateId(), ...meta, ...change }));
+    try {
+        await ensureDataDir();
+        await fs.appendFile(HISTORY_FILE, lines.join('\n') + '\n', 'utf-8');
+    } catch (error) {
+        console.error('记录修改历史失败:', error);
+    }
+};
+
+// 读取全部历史记录（按时间从旧到新），跳过无法解析的行
+const readHistory = async () => {
+    let content;
+    try {
+        content = await fs.readFile(HISTORY_FILE, 'utf-8');
+    } catch {
+        // 还没有历史记录
+        return [];
+    }
+
+    return content.split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }).filter(Boolean);
+};
+
+// 按历史记录撤销一项修改（只还原该记录涉及的字段，之后的其他修改保持不变）
+const revertChange = (data, entry) => {
+    const findTool = id => data.tools.findIndex(tool => String(tool.id) === String(id));
+    const index = entry.type === 'tool' ? findTool(entry.target) : -1;
+
+    switch (`${entry.type}:${entry.action}`) {
+        case 'tool:add':
+            if (index === -1) throw new HttpError(409, '该工具已被删除');
+            data.tools.splice(index, 1);
+            break;
+
+        case 'tool:delete':
+            if (index !== -1) throw new HttpError(409, '该工具已存在');
+            data.tools.push({ ...entry.before });
+            // 同时移除回收站中对应的条目；随分类删除的工具从分类条目中移除，之后恢复该分类时不会再恢复一份
+            data.trash = (data.trash || [])
+                .filter(item => !(item.type === 'tool' && String(item.tool.id) === String(entry.target)))
+                .map(item => (item.type === 'category'
+                    ? { ...item, tools: item.tools.filter(tool => String(tool.id) !== String(entry.target)) }
+                    : item));
+            if (entry.before.category) ensureCategory(data, entry.before.category);
+            break;
+
+        case 'tool:update': {
+            if (index === -1) throw new HttpError(409, '该工具已被删除');
+            const tool = data.tools[index];
+            changedKeys(entry.before, entry.after).forEach((key) => {
+                if (entry.before[key] === undefined) {
+                    delete tool[key];
+                } else {
+                    tool[key] = entry.before[key];
+                }
+            });
+            if (tool.category) ensureCategory(data, tool.category);
+            break;
+        }
+
+        case 'toolOrder:reorder':
+            data.tools.forEach((tool) => {
+                if (String(tool.id) in entry.before) {
+                    tool.order = entry.before[String(tool.id)];
+                }
+            });
+            break;
+
+        case 'category:add':
+            data.categories = data.categories.filter(name => name !== entry.target);
+            break;
+
+        case 'category:delete':
+            if (!data.categories.includes(entry.target)) {
+                data.categories.splice(Math.min(entry.before.index, data.categories.length), 0, entry.target);
+            }
+            break;
+
+        case 'categoryOrder:reorder': {
+            // 按修改前的顺序排列，之后新增的分类保持在末尾
+            const position = name => {
+                const i = entry.before.indexOf(name);
+                return i === -1 ? Infinity : i;
+            };
+            data.categories.sort((a, b) => position(a) - position(b));
+            break;
+        }
+
+        case 'settings:update':
+            if (entry.before === undefined) {
+                delete data.settings[entry.target];
+            } else {
+                data.settings[entry.target] = entry.before;
+            }
+            break;
+
+        default:
+            throw new HttpError(400, '不支持撤销该类型的修改');
+    }
+};
+
+// 读取-修改-写入数据文件，成功后版本号加一（同一时间只有一个修改在执行）
+// mutate 可以抛出 HttpError 中止写入，其返回值作为 result 返回
+// 修改后的数据不符合结构定义时不会写入；写入后按 context（{ req, revertOf }）记录修改历史
+const modifyData = (mutate, context = {}) => withFileLock(DATA_FILE, async () => {
+    const data = await readDataFile();
+    const before = JSON.parse(JSON.stringify(data));
+    const result = await mutate(data);
+    assertValidData(data);
+    data.revision = getRevision(data) + 1;
+    await writeDataFile(data);
+    await recordHistory(before, data, context);
+    broadcastRevision(data.revision);
+    return { data, result };
+});
+
+// 生成唯一 ID（与前端 Utils.generateId 一致）
+const generateId = () => Date.now().toString() + Math.random().toString(36).substr(2, 9);
+
+// 从请求体中提取工具字段并校验
+// partial 为 true 时只校验提供了的字段（用于 PATCH）
+const parseToolInput = (body, partial = false) => {
+    const tool = {};
+
+    if (body.title !== undefined || !partial) {
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) throw new HttpError(400, '请输入工具名称');
+        tool.title = title;
+    }
+
+    if (body.url !== undefined || !partial) {
+        const url = typeof body.url === 'string' ? body.url.trim() : '';
+        if (!Schema.isSafeUrl(url)) throw new HttpError(400, '请输入有效的 URL');
+        tool.url = url;
+    }
+
+    if (body.category !== undefined || !partial) {
+        tool.category = (typeof body.category === 'string' && body.category.trim()) || '未分类';
+    }
+
+    if (body.desc !== undefined || !partial) {
+        tool.desc = typeof body.desc === 'string' ? body.desc.trim() : '';
+    }
+
+    if (body.favorite !== undefined || !partial) {
+        tool.favorite = Boolean(body.favorite);
+    }
+
+    if (body.order !== undefined) {
+        tool.order = Number(body.order) || 0;
+    }
+
+    return tool;
+};
+
+// 确保分类存在于分类列表中
+const ensureCategory = (data, category) => {
+    if (!data.categories.includes(category)) {
+        data.categories.push(category);
+    }
+};
+
+// ===== 回收站 =====
+// 删除的工具和分类（连同分类下的工具）移入 data.trash，与前端 Store 的回收站逻辑一致
+
+// 回收站默认保留天数（settings.trashRetentionDays 为 0 时不自动清理）
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// 自动清理回收站的检查间隔
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// 添加回收站条目
+const moveToTrash = (data, entry) => {
+    data.trash.push({ id: generateId(), deletedAt: Date.now(), ...entry });
+};
+
+// 从回收站恢复（工具 ID 已被占用时使用新 ID，分类不存在时恢复到原位置）
+const restoreTrashEntry = (data, entry) => {
+    data.trash = data.trash.filter(item => item.id !== entry.id);
+
+    if (entry.type === 'category' && !data.categories.includes(entry.category)) {
+        data.categories.splice(Math.min(entry.index, data.categories.length), 0, entry.category);
+    }
+
+    const tools = entry.type === 'tool' ? [entry.tool] : entry.tools;
+    tools.forEach((tool) => {
+        const restored = data.tools.some(t => t.id === tool.id) ? { ...tool, id: generateId() } : tool;
+        data.tools.push(restored);
+        if (restored.category) ensureCategory(data, restored.category);
+    });
+};
+
+// 获取已超过保留天数的回收站条目
+const getExpiredTrash = (data, now = Date.now()) => {
+    const days = data.settings?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+    if (!(days > 0) || !Array.isArray(data.trash)) return [];
+
+    const cutoff = now - days * 24 * 60 * 60 * 1000;
+    return data.trash.filter(item => item.deletedAt <= cutoff);
+};
+
+// 定时清理过期的回收站条目（没有过期条目时不写入，避免无意义的版本号变化）
+const runTrashPurge = async () => {
+    try {
+        if (!(await dataFileExists())) return;
+        if (getExpiredTrash(await readDataFile()).length === 0) return;
+
+        const { result: count } = await modifyData((data) => {
+            const expired = getExpiredTrash(data);
+            data.trash = data.trash.filter(item => !expired.includes(item));
+            return expired.length;
+        });
+        console.log(`🗑️ 已自动清理 ${count} 个回收站条目`);
+    } catch (error) {
+        console.error('清理回收站失败:', error);
+    }
+};
+
+// 最近一次备份的数据哈希（用于跳过内容未变化的自动备份）
+let lastBackupHash = null;
+
+// 计算数据内容哈希（忽略版本号）
+const hashData = (data) => {
+    const { revision, ...rest } = data;
+    return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+};
+
+// 创建备份文件，返回文件名
+const createBackup = async (data, prefix = 'backup') => {
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = `${prefix}-${timestamp}.json`;
+
+    await writeFileAtomic(path.join(BACKUP_DIR, filename), JSON.stringify(data, null, 2));
+    lastBackupHash = hashData(data);
+    return filename;
+};
+
+// 获取备份文件列表（按时间从新到旧）
+const listBackups = async () => {
+    let fileList;
+    try {
+        fileList = await fs.readdir(BACKUP_DIR);
+    } catch {
+        // 备份目录不存在
+        return [];
+    }
+
+    const files = await Promise.all(
+        fileList
+            .filter(f => f.endsWith('.json'))
+            .map(async (filename) => {
+                const stats = await fs.stat(path.join(BACKUP_DIR, filename));
+                return {
+                    filename,
+                    size: stats.size,
+                    created: stats.mtime
+                };
+            })
+    );
+    return files.sort((a, b) => b.created - a.created);
+};
+
+// 按保留策略清理自动备份，返回被删除的文件名
+const pruneBackups = async () => {
+    const backups = (await listBackups()).filter(b => AUTO_BACKUP_PATTERN.test(b.filename));
+    const keep = new Set(backups.slice(0, AUTO_BACKUP.keepLast).map(b => b.filename));
+
+    // 在最近 count 个周期内，每个周期保留最新的一份
+    const keepPerPeriod = (periodMs, count) => {
+        const currentPeriod = Math.floor(Date.now() / periodMs);
+        const seen = new Set();
+        backups.forEach(b => {
+            const period = Math.floor(b.created.getTime() / periodMs);
+            if (currentPeriod - period < count && !seen.has(period)) {
+                seen.add(period);
+                keep.add(b.filename);
+            }
+        });
+    };
+    keepPerPeriod(24 * 60 * 60 * 1000, AUTO_BACKUP.keepDaily);
+    keepPerPeriod(7 * 24 * 60 * 60 * 1000, AUTO_BACKUP.keepWeekly);
+
+    const removed = backups.filter(b => !keep.has(b.filename)).map(b => b.filename);
+    await Promise.all(removed.map(filename => fs.unlink(path.join(BACKUP_DIR, filename))));
+    return removed;
+};
+
+// 创建自动备份（数据与上次备份相同时跳过并返回 null），之后按保留策略清理
+const createAutoBackup = async (data, prefix = 'auto') => {
+    if (hashData(data) === lastBackupHash) return null;
+
+    const filename = await createBackup(data, prefix);
+    try {
+        await pruneBackups();
+    } catch (error) {
+        console.error('清理自动备份失败:', error);
+    }
+    return filename;
+};
+
+// 定时自动备份（仅在数据文件存在时进行）
+const runScheduledBackup = async () => {
+    try {
+        if (!(await dataFileExists())) return;
+
+        const filename = await createAutoBackup(await readDataFile());
+        if (filename) {
+            console.log(`💾 已创建自动备份: ${filename}`);
+        }
+    } catch (error) {
+        console.error('自动备份失败:', error);
+    }
+};
+
+// 启动时读取最新备份的哈希，避免重启后重复备份相同的数据
+const initBackupHash = async () => {
+    const [latest] = await listBackups();
+    if (!latest) return;
+
+    try {
+        const content = await fs.readFile(path.join(BACKUP_DIR, latest.filename), 'utf-8');
+        lastBackupHash = hashData(JSON.parse(content));
+    } catch {
+        // 最新备份无法解析，下次自动备份时重新创建
+    }
+};
+
+// 解析备份文件路径（防止路径穿越），文件不存在时抛出 404
+const resolveBackupFile = async (filename) => {
+    const backupFile = path.resolve(BACKUP_DIR, String(filename));
+
+    if (!/^[\w.-]+\.json$/.test(filename) || path.dirname(backupFile) !== BACKUP_DIR) {
+        throw new HttpError(400, '无效的备份文件名');
+    }
+
+    try {
+        await fs.access(backupFile);
+    } catch {
+        throw new HttpError(404, '备份文件不存在');
+    }
+    return backupFile;
+};
+
+// ===== CSRF 防护 =====
+// 已登录会话的所有修改请求都必须在 X-CSRF-Token 头中携带登录时签发的令牌
+// 登录和初始化请求在建立会话之前发出，不做检查；未登录的请求交给 requireSession 返回 401
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_EXEMPT_PATHS = ['/api/auth/login', '/api/init'];
+
+const verifyCsrfToken = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || CSRF_EXEMPT_PATHS.includes(req.path) || !isSessionValid(req)) {
+        return next();
+    }
+
+    const expected = Buffer.from(req.session.csrfToken || '');
+    const actual = Buffer.from(req.get('X-CSRF-Token') || '');
+    if (expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        return next();
+    }
+
+    res.status(403).json({
+        success: false,
+        error: 'CSRF 令牌无效，请刷新页面后重试'
+    });
+};
+
+app.use(verifyCsrfToken);
+
+// ===== API 路由 =====
+
+// 健康检查
+app.get('/api/health', (req, res) => {
+    res.json({
+        success: true,
+        message: '服务器运行正常',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 登录验证（创建 session）
+app.post('/api/auth/login', loginRateLimit, authenticateAdmin, (req, res) => {
+    res.json({
+        success: true,
+        message: '登录成功',
+        expiresIn: SESSION_MAX_AGE,
+        csrfToken: req.session.csrfToken
+    });
+});
+
+// 修改密码（需要 Session 和当前密码），修改后其他会话全部失效
+// 当前密码错误同样计入登录限流
+app.post('/api/auth/password', requireSession, loginRateLimit, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const data = await readDataFile();
+
+        if (!(await verifyPassword(String(currentPassword || ''), data.settings?.adminPasswordHash))) {
+            const retryAfter = recordLoginFailure(req, 'wrong_password');
+            if (retryAfter > 0) {
+                setRetryAfter(res, retryAfter);
+            }
+            throw new HttpError(400, '当前密码错误');
+        }
+        loginFailures.delete(req.ip);
+
+        const strengthError = validatePasswordStrength(newPassword);
+        if (strengthError) {
+            throw new HttpError(400, strengthError);
+        }
+        if (newPassword === currentPassword) {
+            throw new HttpError(400, '新密码不能与当前密码相同');
+        }
+
+        const changedAt = Date.now();
+        await updateServerSettings({
+            adminPasswordHash: await hashPassword(newPassword),
+            passwordChangedAt: changedAt
+        });
+        passwordChangedAt = changedAt;
+        req.session.authTime = changedAt;
+
+        res.json({
+            success: true,
+            message: '密码已修改'
+        });
+    } catch (error) {
+        sendError(res, error, '修改密码失败');
+    }
+});
+
+// 查看登录失败记录（最新的在前）和当前被限制的 IP
+app.get('/api/auth/failures', requireSession, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        let lines = [];
+
+        try {
+            const content = await fs.readFile(LOGIN_LOG_FILE, 'utf-8');
+            lines = content.split('\n').filter(Boolean);
+        } catch {
+            // 还没有失败记录
+        }
+
+        const failures = lines.slice(-limit).reverse().map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+
+        const now = Date.now();
+        const blocked = [...loginFailures.entries()]
+            .filter(([, entry]) => entry.blockedUntil > now)
+            .map(([ip, entry]) => ({
+                ip,
+                count: entry.count,
+                blockedUntil: new Date(entry.blockedUntil).toISOString()
+            }));
+
+        res.json({
+            success: true,
+            failures,
+            blocked
+        });
+    } catch (error) {
+        sendError(res, error, '读取登录失败记录失败');
+    }
+});
+
+// 登出（清除 session）
+app.post('/api/auth/logout', (req, res) => {
+    req.session.destroy();
+    res.json({
+        success: true,
+        message: '已登出'
+    });
+});
+
+// 检查会话状态（initialized 表示服务器是否已设置管理员密码）
+// 已登录时返回 CSRF 令牌，页面刷新后客户端可以继续使用现有会话
+app.get('/api/auth/check', async (req, res) => {
+    try {
+        const data = await readDataFile();
+        const authenticated = isSessionValid(req);
+
+        // 兼容启用 CSRF 防护之前建立的会话
+        if (authenticated && !req.session.csrfToken) {
+            req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+        }
+
+        res.json({
+            success: true,
+            authenticated,
+            initialized: Boolean(data.settings?.adminPasswordHash),
+            ...(authenticated && { csrfToken: req.session.csrfToken })
+        });
+    } catch (error) {
+        sendError(res, error, '检查登录状态失败');
+    }
+});
+
+// 读取数据（需要 Session，不含敏感字段）
+app.get('/api/data', requireSession, async (req, res) => {
+    try {
+        const data = await readDataFile();
+        const revision = getRevision(data);
+        res.set('ETag', `"${revision}"`);
+        res.json({
+            success: true,
+            data: sanitizeData(data, req),
+            revision,
+            stored: await dataFileExists()
+        });
+    } catch (error) {
+        sendError(res, error, '读取数据失败');
+    }
+});
+
+// 数据变更推送（公开只读，与 GET /api/data 一致）
+// 连接建立时先推送一次当前版本号，之后每次数据写入都会推送新的版本号
+app.get('/api/events', async (req, res) => {
+    if (eventClients.size >= EVENTS_MAX_CLIENTS) {
+        return res.status(503).json({
+            success: false,
+            error: '连接数过多，请稍后重试'
+        });
+    }
+
+    const ip = req.ip;
+    const ipClients = eventClientsPerIp.get(ip) || 0;
+    if (EVENTS_MAX_CLIENTS_PER_IP > 0 && ipClients >= EVENTS_MAX_CLIENTS_PER_IP) {
+        return res.status(429).json({
+            success: false,
+            error: '当前 IP 的连接数过多，请稍后重试'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // 关闭 nginx 等反向代理的响应缓冲
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    eventClients.add(res);
+    eventClientsPerIp.set(ip, ipClients + 1);
+    req.on('close', () => {
+        eventClients.delete(res);
+        const remaining = (eventClientsPerIp.get(ip) || 1) - 1;
+        if (remaining > 0) {
+            eventClientsPerIp.set(ip, remaining);
+        } else {
+            eventClientsPerIp.delete(ip);
+        }
+    });
+
+    try {
+        const revision = getRevision(await readDataFile());
+        sendEvent(res, 'revision', { revision }, revision);
+    } catch (error) {
+        // 数据文件损坏时不推送初始版本号，恢复后会推送新的版本号
+    }
+});
+
+// 保存数据（需要 Session）
+// 需携带基准版本号（请求体 revision 或 If-Match 头），版本不一致时返回 409 和服务器当前数据
+// reason 为 reset / import 时，写入前会自动快照当前数据
+app.post('/api/data', requireSession, async (req, res) => {
+    try {
+        const { data, reason } = req.body;
+        const ifMatch = req.get('If-Match');
+        const baseRevision = req.body.revision !== undefined
+            ? Number(req.body.revision)
+            : (ifMatch ? Number(ifMatch.replace(/"/g, '')) : NaN);
+
+        if (!data) {
+            return res.status(400).json({
+                success: false,
+                error: '缺少数据'
+            });
+        }
+
+        if (Number.isNaN(baseRevision)) {
+            return res.status(428).json({
+                success: false,
+                error: '缺少数据版本号'
+            });
+        }
+
+        Schema.migrate(data);
+        assertValidData(data);
+
+        const { data: saved } = await modifyData(async (existingData) => {
+            const currentRevision = getRevision(existingData);
+            if (baseRevision !== currentRevision) {
+                res.set('ETag', `"${currentRevision}"`);
+                throw new HttpError(409, '数据已被其他客户端修改', {
+                    data: sanitizeData(existingData, req),
+                    revision: currentRevision
+                });
+            }
+
+            if (SNAPSHOT_REASONS.includes(reason)) {
+                await createAutoBackup(existingData, `pre-${reason}`);
+            }
+
+            // 密码等服务器端字段不允许被客户端覆盖
+            const serverSettings = pickServerSettings(existingData.settings);
+            const { authSessionExpiry, ...settings } = data.settings || {};
+            SERVER_SETTINGS_KEYS.forEach(key => delete settings[key]);
+
+            // 整体替换为客户端提交的数据
+            Object.keys(existingData).forEach(key => delete existingData[key]);
+            Object.assign(existingData, data, {
+                settings: { ...settings, ...serverSettings },
+                revision: currentRevision
+            });
+        }, { req });
+
+        res.set('ETag', `"${saved.revision}"`);
+        res.json({
+            success: true,
+            message: '数据已保存',
+            revision: saved.revision
+        });
+    } catch (error) {
+        sendError(res, error, '保存数据失败');
+    }
+});
+
+// ===== 工具与分类 API =====
+// 与前端 Store.addTool / updateTool / deleteTool / deleteCategory 行为一致
+// 每次修改都会使数据版本号加一
+
+// 获取工具列表（可按分类过滤，需要 Session，与 GET /api/data 一致）
+app.get('/api/tools', requireSession, async (req, res) => {
     try {
-        await fs.access(dataDir);
-    } catch {
-        await fs.mkdir(dataDir, { recursive: true });
+        const data = await readDataFile();
+        const { category } = req.query;
+        const tools = category
+            ? data.tools.filter(t => t.category === category)
+            : data.tools;
+
+        res.json({
+            success: true,
+            tools,
+            revision: getRevision(data)
+        });
+    } catch (error) {
+        sendError(res, error, '读取工具列表失败');
     }
-};
+});
 
-// 验证管理员权限的中间件
-const authenticateAdmin = async (req, res, next) => {
-    const { password } = req.body;
+// 添加工具
+app.post('/api/tools', requireSession, async (req, res) => {
+    try {
+        const input = parseToolInput(req.body);
 
-    if (!password) {
-        return res.status(401).json({
-            success: false,
-            error: '需要提供密码'
+        const { data, result: tool } = await modifyData((data) => {
+            const tool = {
+                id: generateId(),
+                ...input,
+                order: input.order !== undefined ? input.order : data.tools.length
+            };
+            data.tools.push(tool);
+            ensureCategory(data, tool.category);
+            return tool;
+        }, { req });
+
+        res.status(201).json({
+            success: true,
+            tool,
+            revision: data.revision
         });
+    } catch (error) {
+        sendError(res, error, '添加工具失败');
     }
+});
 
-    // 读取当前数据以获取密码哈希
+// 调整工具顺序（ids 中未列出的工具保持原有相对顺序排在后面）
+app.post('/api/tools/reorder', requireSession, async (req, res) => {
     try {
-        const data = await readDataFile();
-        const crypto = require('crypto');
-
-        // 计算密码哈希（与前端保持一致）
-        const hash = crypto
-            .createHash('sha256')
-            .update(password + 'newtools.cloud_salt')
-            .digest('hex');
-
-        if (hash === data.settings?.adminPasswordHash) {
-            // 设置 session
-            req.session.isAdmin = true;
-            req.session.authExpiry = Date.now() + (30 * 60 * 1000);
-            next();
-        } else {
-            res.status(401).json({
-                success: false,
-                error: '密码错误'
-            });
+        const { ids } = req.body;
+        if (!Array.isArray(ids)) {
+            throw new HttpError(400, '缺少工具 ID 列表');
         }
+
+        const { data } = await modifyData((data) => {
+            const rank = new Map(ids.map((id, index) => [id, index]));
+            const listed = data.tools.filter(t => rank.has(t.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+            const rest = data.tools.filter(t => !rank.has(t.id));
+
+            data.tools = [...listed, ...rest].map((tool, order) => ({ ...tool, order }));
+        }, { req });
+
+        res.json({
+            success: true,
+            tools: data.tools,
+            revision: data.revision
+        });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: '服务器错误'
+        sendError(res, error, '调整顺序失败');
+    }
+});
+
+// 更新工具
+app.patch('/api/tools/:id', requireSession, async (req, res) => {
+    try {
+        const updates = parseToolInput(req.body, true);
+
+        const { data, result: tool } = await modifyData((data) => {
+            const idx = data.tools.findIndex(t => t.id === req.params.id);
+            if (idx === -1) {
+                throw new HttpError(404, '工具不存在');
+            }
+            data.tools[idx] = { ...data.tools[idx], ...updates };
+            ensureCategory(data, data.tools[idx].category);
+            return data.tools[idx];
+        }, { req });
+
+        res.json({
+            success: true,
+            tool,
+            revision: data.revision
         });
+    } catch (error) {
+        sendError(res, error, '更新工具失败');
     }
-};
+});
 
-// 验证 Session 的中间件
-const requireSession = (req, res, next) => {
-    if (req.session.isAdmin && req.session.authExpiry > Date.now()) {
-        next();
-    } else {
-        res.status(401).json({
-            success: false,
-            error: '未授权或会话已过期'
+// 删除工具
+app.delete('/api/tools/:id', requireSession, async (req, res) => {
+    try {
+        const { data } = await modifyData((data) => {
+            const idx = data.tools.findIndex(t => t.id === req.params.id);
+            if (idx === -1) {
+                throw new HttpError(404, '工具不存在');
+            }
+            const [tool] = data.tools.splice(idx, 1);
+            moveToTrash(data, { type: 'tool', tool });
+        }, { req });
+
+        res.json({
+            success: true,
+            message: '已将工具移入回收站',
+            revision: data.revision
         });
+    } catch (error) {
+        sendError(res, error, '删除工具失败');
     }
-};
+});
 
-// 读取数据文件
-const readDataFile = async () => {
+// 获取分类列表（需要 Session）
+app.get('/api/categories', requireSession, async (req, res) => {
     try {
-        const content = await fs.readFile(DATA_FILE, 'utf-8');
-        return JSON.parse(content);
+        const data = await readDataFile();
+        res.json({
+            success: true,
+            categories: data.categories,
+            revision: getRevision(data)
+        });
     } catch (error) {
-        // 如果文件不存在，返回默认数据
-        return {
-            settings: {
-                backgroundImage: "",
-                searchEngine: "bing",
-                collapsedCategories: [],
-                adminPasswordHash: "",
-                isInitialSetup: true,
-                authSessionExpiry: 0
-            },
-            categories: ["常用", "开发", "设计", "学习", "娱乐"],
-            tools: [
-                { id: "1", title: "GitHub", url: "https://github.com", category: "开发", desc: "代码托管平台", favorite: false, order: 0 },
-                { id: "2", title: "ChatGPT", url: "https://chat.openai.com", category: "常用", desc: "AI 助手", favorite: false, order: 1 },
-                { id: "3", title: "Bilibili", url: "https://www.bilibili.com", category: "娱乐", desc: "弹幕视频网站", favorite: false, order: 2 },
-                { id: "4", title: "Figma", url: "https://www.figma.com", category: "设计", desc: "在线界面设计工具", favorite: false, order: 3 },
-                { id: "5", title: "MDN Web Docs", url: "https://developer.mozilla.org", category: "学习", desc: "Web 开发文档", favorite: false, order: 4 }
-            ],
-            theme: "light"
-        };
+        sendError(res, error, '读取分类列表失败');
     }
-};
+});
 
-// 写入数据文件
-const writeDataFile = async (data) => {
-    await ensureDataDir();
-    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
-};
+// 添加分类
+app.post('/api/categories', requireSession, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name) {
+            throw new HttpError(400, '请输入分类名称');
+        }
 
-// ===== API 路由 =====
+        const { data } = await modifyData((data) => {
+            if (data.categories.includes(name)) {
+                throw new HttpError(409, '分类已存在');
+            }
+            data.categories.push(name);
+        }, { req });
 
-// 健康检查
-app.get('/api/health', (req, res) => {
-    res.json({
-        success: true,
-        message: '服务器运行正常',
-        timestamp: new Date().toISOString()
-    });
+        res.status(201).json({
+            success: true,
+            categories: data.categories,
+            revision: data.revision
+        });
+    } catch (error) {
+        sendError(res, error, '添加分类失败');
+    }
 });
 
-// 登录验证（创建 session）
-app.post('/api/auth/login', authenticateAdmin, (req, res) => {
-    res.json({
-        success: true,
-        message: '登录成功'
-    });
-});
+// 调整分类顺序（names 中未列出的分类保持原有顺序排在后面）
+app.post('/api/categories/reorder', requireSession, async (req, res) => {
+    try {
+        const { names } = req.body;
+        if (!Array.isArray(names)) {
+            throw new HttpError(400, '缺少分类名称列表');
+        }
 
-// 登出（清除 session）
-app.post('/api/auth/logout', (req, res) => {
-    req.session.destroy();
-    res.json({
-        success: true,
-        message: '已登出'
-    });
+        const { data } = await modifyData((data) => {
+            const listed = names.filter(name => data.categories.includes(name));
+            const rest = data.categories.filter(name => !listed.includes(name));
+            data.categories = [...new Set(listed), ...rest];
+        }, { req });
+
+        res.json({
+            success: true,
+            categories: data.categories,
+            revision: data.revision
+        });
+    } catch (error) {
+        sendError(res, error, '调整顺序失败');
+    }
 });
 
-// 检查会话状态
-app.get('/api/auth/check', (req, res) => {
-    if (req.session.isAdmin && req.session.authExpiry > Date.now()) {
+// 重命名分类（同时更新该分类下的工具）
+app.patch('/api/categories/:name', requireSession, async (req, res) => {
+    try {
+        const newName = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!newName) {
+            throw new HttpError(400, '请输入分类名称');
+        }
+
+        const { data } = await modifyData((data) => {
+            const idx = data.categories.indexOf(req.params.name);
+            if (idx === -1) {
+                throw new HttpError(404, '分类不存在');
+            }
+            if (newName !== req.params.name && data.categories.includes(newName)) {
+                throw new HttpError(409, '分类已存在');
+            }
+            data.categories[idx] = newName;
+            data.tools.forEach(tool => {
+                if (tool.category === req.params.name) {
+                    tool.category = newName;
+                }
+            });
+        }, { req });
+
         res.json({
             success: true,
-            authenticated: true
+            categories: data.categories,
+            revision: data.revision
         });
-    } else {
+    } catch (error) {
+        sendError(res, error, '重命名分类失败');
+    }
+});
+
+// 删除分类（分类和分类下的工具一起移入回收站）
+app.delete('/api/categories/:name', requireSession, async (req, res) => {
+    try {
+        const { data } = await modifyData((data) => {
+            const category = req.params.name;
+            const idx = data.categories.indexOf(category);
+            if (idx === -1) {
+                throw new HttpError(404, '分类不存在');
+            }
+            const tools = data.tools.filter(t => t.category === category);
+            data.tools = data.tools.filter(t => t.category !== category);
+            data.categories.splice(idx, 1);
+            moveToTrash(data, { type: 'category', category, index: idx, tools });
+        }, { req });
+
         res.json({
             success: true,
-            authenticated: false
+            categories: data.categories,
+            revision: data.revision
         });
+    } catch (error) {
+        sendError(res, error, '删除分类失败');
     }
 });
 
-// 读取数据（需要 Session）
-app.get('/api/data', requireSession, async (req, res) => {
+// 获取回收站条目（最近删除的在前，需登录）
+app.get('/api/trash', requireSession, async (req, res) => {
     try {
         const data = await readDataFile();
         res.json({
             success: true,
-            data
+            trash: [...(data.trash || [])].sort((a, b) => b.deletedAt - a.deletedAt),
+            retentionDays: data.settings?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: '读取数据失败'
-        });
+        sendError(res, error, '获取回收站失败');
     }
 });
 
-// 保存数据（需要 Session）
-app.post('/api/data', requireSession, async (req, res) => {
+// 从回收站恢复
+app.post('/api/trash/:id/restore', requireSession, async (req, res) => {
     try {
-        const { data } = req.body;
+        const { data } = await modifyData((data) => {
+            const entry = data.trash.find(item => item.id === req.params.id);
+            if (!entry) {
+                throw new HttpError(404, '回收站中没有该条目');
+            }
+            restoreTrashEntry(data, entry);
+        }, { req });
 
-        if (!data) {
-            return res.status(400).json({
-                success: false,
-                error: '缺少数据'
-            });
-        }
+        res.json({
+            success: true,
+            message: '已从回收站恢复',
+            revision: data.revision
+        });
+    } catch (error) {
+        sendError(res, error, '恢复失败');
+    }
+});
 
-        await writeDataFile(data);
+// 彻底删除回收站条目
+app.delete('/api/trash/:id', requireSession, async (req, res) => {
+    try {
+        const { data } = await modifyData((data) => {
+            const idx = data.trash.findIndex(item => item.id === req.params.id);
+            if (idx === -1) {
+                throw new HttpError(404, '回收站中没有该条目');
+            }
+            data.trash.splice(idx, 1);
+        }, { req });
 
         res.json({
             success: true,
-            message: '数据已保存'
+            message: '已彻底删除',
+            revision: data.revision
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: '保存数据失败'
+        sendError(res, error, '删除失败');
+    }
+});
+
+// 清空回收站
+app.delete('/api/trash', requireSession, async (req, res) => {
+    try {
+        const { data } = await modifyData((data) => {
+            data.trash = [];
+        }, { req });
+
+        res.json({
+            success: true,
+            message: '回收站已清空',
+            revision: data.revision
         });
+    } catch (error) {
+        sendError(res, error, '清空回收站失败');
     }
 });
 
-// 初始化服务器（设置默认密码）
+// 初始化服务器（设置管理员密码，需要启动时输出到控制台的一次性令牌）
 app.post('/api/init', async (req, res) => {
     try {
+        const { password, setupToken: token } = req.body;
         const existingData = await readDataFile();
 
         // 如果已经设置过密码，拒绝再次初始化
         if (existingData.settings?.adminPasswordHash) {
-            return res.status(400).json({
-                success: false,
-                error: '服务器已经初始化'
-            });
+            throw new HttpError(400, '服务器已经初始化');
         }
 
-        const crypto = require('crypto');
-        const defaultPassword = 'admin';
-        const hash = crypto
-            .createHash('sha256')
-            .update(defaultPassword + 'newtools.cloud_salt')
-            .digest('hex');
+        if (!verifySetupToken(token)) {
+            throw new HttpError(403, '初始化令牌无效');
+        }
 
-        existingData.settings.adminPasswordHash = hash;
-        existingData.settings.isInitialSetup = false;
+        const strengthError = validatePasswordStrength(password);
+        if (strengthError) {
+            throw new HttpError(400, strengthError);
+        }
 
-        await writeDataFile(existingData);
+        await updateServerSettings({
+            adminPasswordHash: await hashPassword(password),
+            isInitialSetup: false
+        });
+        setupToken = null;
 
         // 自动登录
-        req.session.isAdmin = true;
-        req.session.authExpiry = Date.now() + (30 * 60 * 1000);
+        startAdminSession(req);
 
         res.json({
             success: true,
             message: '服务器已初始化',
-            defaultPassword
+            expiresIn: SESSION_MAX_AGE,
+            csrfToken: req.session.csrfToken
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: '初始化失败'
-        });
+        sendError(res, error, '初始化失败');
     }
 });
 
@@ -267,73 +1872,202 @@ app.post('/api/init', async (req, res) => {
 app.post('/api/backup', requireSession, async (req, res) => {
     try {
         const data = await readDataFile();
-        const backupDir = path.join(__dirname, 'backups');
-        await fs.mkdir(backupDir, { recursive: true });
-
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        const backupFile = path.join(backupDir, `backup-${timestamp}.json`);
-
-        await fs.writeFile(backupFile, JSON.stringify(data, null, 2), 'utf-8');
+        const filename = await createBackup(data);
 
         res.json({
             success: true,
             message: '备份已创建',
-            filename: `backup-${timestamp}.json`
+            filename
+        });
+    } catch (error) {
+        sendError(res, error, '备份失败');
+    }
+});
+
+// 获取备份列表
+app.get('/api/backups', requireSession, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            backups: await listBackups()
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            error: '备份失败'
+            error: '获取备份列表失败'
         });
     }
 });
 
-// 获取备份列表
-app.get('/api/backups', requireSession, async (req, res) => {
+// 从备份恢复（恢复前自动备份当前数据，管理员密码保持不变）
+// 数据文件已损坏时，损坏的文件会改名保留，管理员密码等服务器端字段取自备份
+app.post('/api/backups/:filename/restore', requireSession, async (req, res) => {
     try {
-        const backupDir = path.join(__dirname, 'backups');
-        let files = [];
+        const backupFile = await resolveBackupFile(req.params.filename);
+
+        let backup;
+        try {
+            backup = JSON.parse(await fs.readFile(backupFile, 'utf-8'));
+        } catch {
+            throw new HttpError(400, '备份文件已损坏');
+        }
 
+        Schema.migrate(backup);
+        assertValidData(backup, '无效的备份文件');
+
+        let corruptFile = null;
         try {
-            const fileList = await fs.readdir(backupDir);
-            files = await Promise.all(
-                fileList
-                    .filter(f => f.endsWith('.json'))
-                    .map(async (filename) => {
-                        const filePath = path.join(backupDir, filename);
-                        const stats = await fs.stat(filePath);
-                        return {
-                            filename,
-                            size: stats.size,
-                            created: stats.mtime
-                        };
-                    })
-            );
+            await readDataFile();
         } catch (error) {
-            // 备份目录不存在，返回空列表
+            if (!(error instanceof DataFileCorruptError)) throw error;
+            corruptFile = await withFileLock(DATA_FILE, quarantineDataFile);
+            console.error(`⚠️ 数据文件已损坏，已改名为 ${corruptFile}`);
         }
 
+        const { data, result: snapshot } = await modifyData(async (existingData) => {
+            const snapshot = corruptFile ? null : await createAutoBackup(existingData, 'pre-restore');
+            const serverSettings = pickServerSettings(corruptFile ? backup.settings : existingData.settings);
+            const revision = getRevision(existingData);
+            const settings = { ...backup.settings };
+            SERVER_SETTINGS_KEYS.forEach(key => delete settings[key]);
+
+            Object.keys(existingData).forEach(key => delete existingData[key]);
+            Object.assign(existingData, backup, {
+                settings: { ...settings, ...serverSettings },
+                revision
+            });
+            return snapshot;
+        }, { req });
+
         res.json({
             success: true,
-            backups: files.sort((a, b) => b.created - a.created)
+            message: '数据已从备份恢复',
+            snapshot,
+            corruptFile,
+            revision: data.revision
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: '获取备份列表失败'
+        sendError(res, error, '恢复备份失败');
+    }
+});
+
+// 下载备份文件
+app.get('/api/backups/:filename/download', requireSession, async (req, res) => {
+    try {
+        const backupFile = await resolveBackupFile(req.params.filename);
+        res.download(backupFile, req.params.filename);
+    } catch (error) {
+        sendError(res, error, '下载备份失败');
+    }
+});
+
+// 删除备份文件
+app.delete('/api/backups/:filename', requireSession, async (req, res) => {
+    try {
+        const backupFile = await resolveBackupFile(req.params.filename);
+        await fs.unlink(backupFile);
+
+        res.json({
+            success: true,
+            message: '备份已删除'
+        });
+    } catch (error) {
+        sendError(res, error, '删除备份失败');
+    }
+});
+
+// 获取修改历史（最新的在前，可用 ?target= 只看某个工具或分类）
+app.get('/api/history', requireSession, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        let entries = await readHistory();
+
+        if (req.query.target !== undefined) {
+            entries = entries.filter(entry => String(entry.target) === String(req.query.target));
+        }
+
+        res.json({
+            success: true,
+            total: entries.length,
+            entries: entries.slice(-limit).reverse()
+        });
+    } catch (error) {
+        sendError(res, error, '读取修改历史失败');
+    }
+});
+
+// 撤销某条历史记录对应的修改（撤销本身也会记录到历史中）
+app.post('/api/history/:id/revert', requireSession, async (req, res) => {
+    try {
+        const entry = (await readHistory()).find(item => item.id === req.params.id);
+        if (!entry) {
+            throw new HttpError(404, '历史记录不存在');
+        }
+
+        const { data } = await modifyData((data) => revertChange(data, entry), { req, revertOf: entry.id });
+
+        res.json({
+            success: true,
+            message: '已撤销该修改',
+            revision: data.revision
         });
+    } catch (error) {
+        sendError(res, error, '撤销修改失败');
     }
 });
 
 // 启动服务器
 const startServer = async () => {
     await ensureDataDir();
+    await initBackupHash();
+
+    // 数据文件损坏时仍然启动（已登录的会话可以从备份恢复），但不生成初始化令牌
+    let dataCorrupted = false;
+    try {
+        const { settings = {} } = await readDataFile();
+        passwordChangedAt = Number(settings.passwordChangedAt) || 0;
+        if (!settings.adminPasswordHash) {
+            setupToken = crypto.randomBytes(16).toString('hex');
+        }
+    } catch (error) {
+        if (!(error instanceof DataFileCorruptError)) throw error;
+        dataCorrupted = true;
+    }
+
+    if (AUTO_BACKUP.intervalMinutes > 0) {
+        setInterval(runScheduledBackup, AUTO_BACKUP.intervalMinutes * 60 * 1000);
+    }
+
+    // 自动清理过期的回收站条目
+    await runTrashPurge();
+    setInterval(runTrashPurge, TRASH_PURGE_INTERVAL);
+
+    // SSE 心跳（注释行，客户端会忽略）
+    setInterval(() => {
+        eventClients.forEach(res => res.write(': ping\n\n'));
+    }, EVENTS_HEARTBEAT_INTERVAL);
+
+    // 定期清理过期会话
+    await sessionStore.prune();
+    setInterval(() => sessionStore.prune(), 60 * 60 * 1000);
 
     app.listen(PORT, () => {
         console.log('=================================');
         console.log(`🚀 newtools.cloud 服务器已启动`);
         console.log(`📡 端口: ${PORT}`);
         console.log(`📁 数据文件: ${DATA_FILE}`);
+        console.log(`⚙️  配置文件: ${fsSync.existsSync(CONFIG_FILE) ? CONFIG_FILE : '未使用（使用默认配置）'}`);
+        console.log(`💾 自动备份: ${AUTO_BACKUP.intervalMinutes > 0 ? `每 ${AUTO_BACKUP.intervalMinutes} 分钟` : '已关闭'}`);
+        if (dataCorrupted) {
+            console.log('---------------------------------');
+            console.log('⚠️ 数据文件已损坏，无法解析。请登录后在设置中从服务器备份恢复，');
+            console.log(`   或手动将 ${BACKUP_DIR} 中的备份复制为 ${DATA_FILE}`);
+        }
+        if (setupToken) {
+            console.log('---------------------------------');
+            console.log('🔑 尚未设置管理员密码，请在页面中使用以下初始化令牌完成设置：');
+            console.log(`   ${setupToken}`);
+        }
         console.log('=================================');
     });
 };
@@ -8,7 +8,7 @@
  */
 
 // ========== 配置 ==========
-const CACHE_NAME = 'newtools-cloud-v1';
+const CACHE_NAME = 'newtools-cloud-v5';
 const RUNTIME_CACHE = 'newtools-cloud-runtime-v1';
 
 // 需要预缓存的静态资源列表（核心资源）
@@ -17,11 +17,15 @@ const PRECACHE_URLS = [
   '/index.html',
   '/manifest.json',
   '/assets/css/style.css',
+  '/assets/js/api.js',
+  '/assets/js/schema.js',
   '/assets/js/store.js',
   '/assets/js/utils.js',
+  '/assets/js/formats.js',
   '/assets/js/renderer.js',
   '/assets/js/events.js',
-  '/assets/js/app.js'
+  '/assets/js/app.js',
+  '/assets/js/pwa.js'
   // 注意：图标文件会在 install 时自动添加
 ];
 
@@ -95,6 +99,11 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // API 请求始终走网络，不做缓存
+  if (url.pathname.startsWith('/api/')) {
+    return;
+  }
+
   // 策略 1: 对于静态资源（JS、CSS、图片），使用 "Stale While Revalidate" 策略
   // 优先从缓存返回，同时在后台更新缓存
   if (